@@ -4,9 +4,17 @@
  */
 class FileRenamerApp {
     constructor() {
+        this.extensionParser = null;
+        this.filenameRules = null;
+        this.batchController = null;
+        this.hashController = null;
+        this.pendingScan = null;
         this.fileSystemManager = null;
+        this.contentHasher = null;
         this.fileSorter = null;
         this.fileRenamer = null;
+        this.undoJournal = null;
+        this.planFile = null;
         this.uiManager = null;
 
         this.init();
@@ -18,10 +26,17 @@ class FileRenamerApp {
     async init() {
         try {
             // Initialize components
-            this.fileSystemManager = new FileSystemManager();
+            this.extensionParser = new ExtensionParser();
+            this.fileSystemManager = new FileSystemManager(this.extensionParser);
             this.fileSorter = new FileSorter();
-            this.fileRenamer = new FileRenamer(this.fileSystemManager);
+            this.contentHasher = new ContentHasher();
+            this.filenameRules = new FilenameRules('windows', this.extensionParser);
+            this.fileRenamer = new FileRenamer(this.fileSystemManager, this.extensionParser, this.filenameRules);
+            this.undoJournal = new UndoJournal();
+            this.planFile = new PlanFile();
+            this.presetStore = new PresetStore();
             this.uiManager = new UIManager();
+            this.uiManager.setRuleTypes(this.fileRenamer.rulePipeline.getRuleTypes());
 
             // Check browser compatibility
             await this.checkBrowserCompatibility();
@@ -29,6 +44,13 @@ class FileRenamerApp {
             // Attach event listeners
             this.attachEventListeners();
 
+            // Saved presets, and a preset shared through the link
+            this.uiManager.showPresets(this.presetStore.list());
+            this.loadPresetFromHash();
+
+            // Offer to undo a batch from a previous session
+            await this.refreshUndoAvailability();
+
             console.log('File Renamer App initialized successfully');
         } catch (error) {
             console.error('Failed to initialize app:', error);
@@ -66,13 +88,28 @@ class FileRenamerApp {
      */
     attachEventListeners() {
         // Folder selection
-        document.addEventListener('selectFolder', () => {
-            this.handleFolderSelection();
+        document.addEventListener('selectFolder', (e) => {
+            this.handleFolderSelection(e.detail);
         });
 
         // File sorting
         document.addEventListener('sortFiles', (e) => {
-            this.handleFileSorting(e.detail.sortBy);
+            this.handleFileSorting(e.detail);
+        });
+
+        // Pattern validation (answered synchronously so the UI can use the result right away)
+        document.addEventListener('validatePattern', (e) => {
+            this.handlePatternValidation(e.detail);
+        });
+
+        // Numbering validation (answered synchronously, like pattern validation)
+        document.addEventListener('validateNumbering', (e) => {
+            this.handleNumberingValidation(e.detail);
+        });
+
+        // Find expression validation (answered synchronously, like pattern validation)
+        document.addEventListener('validateRegex', (e) => {
+            this.handleRegexValidation(e.detail);
         });
 
         // Preview generation
@@ -80,9 +117,96 @@ class FileRenamerApp {
             this.handlePreviewGeneration(e.detail);
         });
 
+        // Mapping file import and plan export
+        document.addEventListener('importMapping', (e) => {
+            this.handleMappingImport(e.detail);
+        });
+
+        document.addEventListener('exportPlan', (e) => {
+            this.handlePlanExport(e.detail);
+        });
+
+        // Named presets
+        document.addEventListener('savePreset', (e) => {
+            this.handlePresetSave(e.detail);
+        });
+
+        document.addEventListener('loadPreset', (e) => {
+            this.handlePresetLoad(e.detail);
+        });
+
+        document.addEventListener('deletePreset', (e) => {
+            this.handlePresetDelete(e.detail);
+        });
+
+        document.addEventListener('sharePreset', (e) => {
+            this.handlePresetShare(e.detail);
+        });
+
+        document.addEventListener('exportPresets', () => {
+            this.handlePresetExport();
+        });
+
+        document.addEventListener('importPresets', (e) => {
+            this.handlePresetImport(e.detail);
+        });
+
+        window.addEventListener('hashchange', () => {
+            this.loadPresetFromHash();
+        });
+
+        // Manual name overrides in the preview table
+        document.addEventListener('validateOverride', (e) => {
+            this.handleOverrideValidation(e.detail);
+        });
+
+        // Cancel the duplicate check of a preview
+        document.addEventListener('cancelHashing', () => {
+            if (this.hashController) this.hashController.abort();
+        });
+
         // Rename execution
         document.addEventListener('executeRename', (e) => {
-            this.handleRenameExecution(e.detail.previewData);
+            this.handleRenameExecution(e.detail.previewData, e.detail.collisionStrategy, e.detail.skipStaleCheck);
+        });
+
+        // Folder changed since the preview: plan again against the new scan
+        document.addEventListener('regeneratePreview', () => {
+            this.handlePreviewRegeneration();
+        });
+
+        // Retry failures from the result screen
+        document.addEventListener('retryFailed', (e) => {
+            this.handleRetryFailed(e.detail);
+        });
+
+        // Roll back the renamed files of a cancelled batch
+        document.addEventListener('rollbackBatch', (e) => {
+            this.handleRollback(e.detail.result);
+        });
+
+        // Pause, resume and cancel a running batch
+        document.addEventListener('pauseRename', () => {
+            if (!this.batchController) return;
+            this.batchController.pause();
+            this.uiManager.showBatchState('paused');
+        });
+
+        document.addEventListener('resumeRename', () => {
+            if (!this.batchController) return;
+            this.batchController.resume();
+            this.uiManager.showBatchState('running');
+        });
+
+        document.addEventListener('cancelRename', () => {
+            if (!this.batchController) return;
+            this.batchController.cancel();
+            this.uiManager.showBatchState('cancelling');
+        });
+
+        // Undo last batch
+        document.addEventListener('undoLastRename', () => {
+            this.handleUndoLastRename();
         });
 
         // Handle page unload to clean up resources
@@ -93,8 +217,9 @@ class FileRenamerApp {
 
     /**
      * Handle folder selection
+     * @param {Object} options - Scan options ({ recursive })
      */
-    async handleFolderSelection() {
+    async handleFolderSelection(options = {}) {
         try {
             this.uiManager.showLoading(this.uiManager.elements.selectFolderBtn, true);
 
@@ -107,7 +232,10 @@ class FileRenamerApp {
             }
 
             // Get files from directory
-            const files = await this.fileSystemManager.getFilesFromDirectory(directoryHandle);
+            this.pendingScan = null;
+            const files = await this.fileSystemManager.getFilesFromDirectory(directoryHandle, {
+                recursive: options.recursive === true
+            });
 
             if (files.length === 0) {
                 this.uiManager.displayFolderError('The selected folder contains no files.');
@@ -121,10 +249,12 @@ class FileRenamerApp {
                 handle: directoryHandle
             };
 
+            const { config, customOrder } = this.uiManager.getState();
             this.uiManager.displayFolderInfo(folderInfo);
             this.uiManager.updateState({
                 files: files,
-                sortedFiles: this.fileSorter.sortFiles(files, this.uiManager.getState().config.sortBy)
+                overrides: {},
+                sortedFiles: await this.sortFiles(files, config, customOrder)
             });
 
             // Move to next step
@@ -138,19 +268,46 @@ class FileRenamerApp {
         }
     }
 
+    /**
+     * Select the files the Step 2 filters let through and sort them with the sort settings of a configuration
+     * Content metadata is read first when the chain sorts by capture time or a tag.
+     * @param {Array} files - Array of file objects (the whole scan)
+     * @param {Object} config - Configuration with sortBy, sortThenBy, sortLocale and the filter settings
+     * @param {Array<string>} customOrder - Relative paths in the order chosen by hand (custom sort)
+     * @returns {Promise<Array>} Sorted array of the selected files
+     */
+    async sortFiles(files, config, customOrder = []) {
+        const selected = this.fileSorter.applyFilters(files, this.uiManager.getFilters(config));
+        this.uiManager.showFilterCount(selected.length, files.length);
+
+        if (this.fileSorter.usesMetadata([config.sortBy, ...config.sortThenBy])) {
+            await this.fileSystemManager.loadMetadata(selected);
+        }
+
+        return this.fileSorter.sortFiles(selected, config.sortBy, {
+            thenBy: config.sortThenBy,
+            locale: config.sortLocale,
+            customOrder
+        });
+    }
+
     /**
      * Handle file sorting
-     * @param {string} sortBy - Sort option
+     * @param {Object} sortSettings - { sortBy, sortThenBy, sortLocale, customOrder }
      */
-    handleFileSorting(sortBy) {
+    async handleFileSorting(sortSettings) {
         try {
             const state = this.uiManager.getState();
-            const sortedFiles = this.fileSorter.sortFiles(state.files, sortBy);
+            // The custom order belongs to the folder, so it is kept out of the (preset) configuration
+            const { customOrder, ...settings } = sortSettings;
+            const config = { ...state.config, ...settings };
 
             this.uiManager.updateState({
-                sortedFiles: sortedFiles,
-                config: { ...state.config, sortBy: sortBy }
+                sortedFiles: await this.sortFiles(state.files, config, customOrder),
+                config: config
             });
+            // Filters can leave no file to rename
+            this.uiManager.updateNavigationButtons();
 
             // If we have preview data, regenerate it with new sort order
             if (state.previewData.length > 0) {
@@ -169,14 +326,52 @@ class FileRenamerApp {
      */
     async handlePreviewGeneration(params) {
         try {
-            const { pattern, padding, files } = params;
+            const {
+                mode, pattern, padding, numbering, grouping, regex, rules, transforms, extension, target,
+                collisionStrategy, mapping, overrides, duplicates, files
+            } = params;
+            const warnings = [];
+
+            // Scanner and renamer share one parser, so re-split names if the compound list changed
+            this.extensionParser.setCompoundExtensions(extension.compound);
+            this.fileSystemManager.refreshExtensions(files);
+            this.filenameRules.setProfile(target.profile);
+
+            // The preview marks files without metadata only while the sort or pattern uses it
+            const { sortBy, sortThenBy } = this.uiManager.getState().config;
+            const metadataUsed = this.fileSorter.usesMetadata([sortBy, ...sortThenBy]) ||
+                (mode === 'pattern' && this.fileRenamer.patternCompiler.compile(pattern).usesMetadata);
+            if (metadataUsed) {
+                await this.fileSystemManager.loadMetadata(files);
+            }
+
+            // Identical files are found by content; a cancelled check leaves them numbered as usual
+            let duplicateGroups = [];
+            if (duplicates.mode !== '') {
+                duplicateGroups = await this.findDuplicates(files);
+                if (duplicateGroups === null) {
+                    // Superseded by a newer preview, which shows its own result
+                    if (this.hashController) return;
+                    duplicateGroups = [];
+                    warnings.push('The duplicate check was cancelled, so identical files are not handled. Refresh the preview to check again');
+                }
+            }
 
             // Generate preview using FileRenamer
             const previewResult = await this.fileRenamer.generatePreview(
                 files,
                 pattern,
                 padding,
-                { resolveCollisions: true, startIndex: 1 }
+                {
+                    resolveCollisions: true,
+                    mode, numbering, regex, rules, mapping, transforms, extension, overrides,
+                    groupOf: this.getCounterGroups(files, grouping),
+                    counterScope: grouping?.scope,
+                    sanitize: target.sanitize,
+                    collisionStrategy,
+                    // Rows placed by hand stay where they are instead of joining their original
+                    duplicates: { ...duplicates, groups: duplicateGroups, keepOrder: sortBy === 'custom' }
+                }
             );
 
             if (!previewResult.success) {
@@ -189,13 +384,15 @@ class FileRenamerApp {
                 previewResult.previewData,
                 {
                     collisionResolutions: previewResult.collisionResolutions,
-                    errors: previewResult.errors
+                    errors: previewResult.errors,
+                    warnings: [...warnings, ...previewResult.warnings],
+                    metadataUsed
                 }
             );
 
             this.uiManager.updateState({
                 previewData: previewResult.previewData,
-                config: { ...this.uiManager.getState().config, pattern, padding }
+                config: { ...this.uiManager.getState().config, mode, pattern, padding }
             });
 
         } catch (error) {
@@ -208,11 +405,277 @@ class FileRenamerApp {
         }
     }
 
+    /**
+     * Find groups of identical files, showing progress that can be cancelled
+     * @param {Array} files - Files of the preview, in display order
+     * @returns {Promise<Array<Array>|null>} Groups from ContentHasher.findDuplicates, or null if cancelled
+     */
+    async findDuplicates(files) {
+        if (!this.contentHasher.isSupported()) {
+            throw new Error('Checking for duplicates needs the page to be opened over https or from localhost');
+        }
+
+        // A newer preview takes over from a check that is still running
+        if (this.hashController) this.hashController.abort();
+        const controller = new AbortController();
+        this.hashController = controller;
+
+        try {
+            return await this.contentHasher.findDuplicates(files, {
+                signal: controller.signal,
+                onProgress: progress => this.uiManager.showHashProgress(progress)
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        } finally {
+            if (this.hashController === controller) {
+                this.hashController = null;
+                this.uiManager.hideHashProgress();
+            }
+        }
+    }
+
+    /**
+     * Parse an imported mapping file
+     * @param {Object} params - File text and name
+     */
+    handleMappingImport(params) {
+        const { text, fileName } = params;
+        const result = this.planFile.parseMapping(text, fileName);
+        this.uiManager.showMappingResult(fileName, result);
+    }
+
+    /**
+     * Download the current preview as CSV or JSON
+     * @param {Object} params - Export format and preview data
+     */
+    handlePlanExport(params) {
+        const { format, previewData } = params;
+        const folder = this.fileSystemManager.getDirectoryHandle()?.name || 'files';
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            this.uiManager.downloadFile(
+                `rename-plan-${folder}-${stamp}.json`,
+                this.planFile.toJSON(previewData, { folder }),
+                'application/json'
+            );
+        } else {
+            this.uiManager.downloadFile(
+                `rename-plan-${folder}-${stamp}.csv`,
+                this.planFile.toCSV(previewData),
+                'text/csv'
+            );
+        }
+    }
+
+    /**
+     * Map each file to its counter group
+     * @param {Array} files - Files in display order
+     * @param {Object} grouping - { by: '' | 'extension' | 'day' | 'folder', scope }
+     * @returns {Map|null} File -> group key, or null when the counter is not reset per group
+     */
+    getCounterGroups(files, grouping = {}) {
+        if (!grouping || !grouping.by) {
+            return null;
+        }
+
+        const groupOf = new Map();
+        Object.entries(this.fileSorter.groupFiles(files, grouping.by)).forEach(([key, groupFiles]) => {
+            groupFiles.forEach(file => groupOf.set(file, key));
+        });
+
+        return groupOf;
+    }
+
+    /**
+     * Validate a hand-edited name from the preview table
+     * @param {Object} params - File path, typed name and current preview data
+     */
+    async handleOverrideValidation(params) {
+        const { path, newName, previewData } = params;
+
+        try {
+            const validation = await this.fileRenamer.validateOverride(path, newName.trim(), previewData);
+            this.uiManager.showOverrideValidation(path, validation, newName);
+        } catch (error) {
+            console.error('Override validation error:', error);
+            this.uiManager.showOverrideValidation(path, { isValid: false, errors: [error.message] }, newName);
+        }
+    }
+
+    /**
+     * Handle pattern validation for the pattern input
+     * @param {Object} params - { pattern, profile }
+     */
+    handlePatternValidation(params) {
+        const { pattern, profile } = params;
+
+        try {
+            this.filenameRules.setProfile(profile);
+            const validation = this.fileRenamer.validatePattern(pattern);
+            this.uiManager.setPatternValidation(pattern, profile, validation);
+        } catch (error) {
+            console.error('Pattern validation error:', error);
+        }
+    }
+
+    /**
+     * Handle validation of the start number, increment and number format
+     * @param {Object} params - { numbering, padding, count, key }
+     */
+    handleNumberingValidation(params) {
+        const { numbering, padding, count, key } = params;
+        const validation = this.fileRenamer.validateNumbering(numbering, padding, count);
+        this.uiManager.setNumberingValidation(key, validation);
+    }
+
+    /**
+     * Handle validation of the find expression in regex mode
+     * @param {Object} params - { find, flags }
+     */
+    handleRegexValidation(params) {
+        const { find, flags } = params;
+        const { isValid, errors } = this.fileRenamer.validateRegex(find, flags);
+        this.uiManager.setRegexValidation(find, flags, { isValid, errors });
+    }
+
+    /**
+     * Save the current settings as a named preset
+     * @param {Object} params - { name, config }
+     */
+    handlePresetSave(params) {
+        const { name, config } = params;
+
+        try {
+            const replaced = this.presetStore.get(name.trim()) !== null;
+            const preset = this.presetStore.save(name, config);
+            this.uiManager.showPresets(this.presetStore.list(), preset.name);
+            this.uiManager.showPresetStatus(`${replaced ? 'Updated' : 'Saved'} preset "${preset.name}"`);
+        } catch (error) {
+            this.uiManager.showPresetStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Apply a saved preset
+     * @param {Object} params - { name }
+     */
+    handlePresetLoad(params) {
+        const preset = this.presetStore.get(params.name);
+        if (!preset) {
+            this.uiManager.showPresetStatus(`Preset "${params.name}" no longer exists`, true);
+            this.uiManager.showPresets(this.presetStore.list());
+            return;
+        }
+
+        this.applyPreset(preset, `Loaded preset "${preset.name}"`);
+    }
+
+    /**
+     * Apply a preset's configuration and report settings that could not be used
+     * @param {Object} preset - { name, config }
+     * @param {string} message - Status message on success
+     */
+    applyPreset(preset, message) {
+        const { config, ignored } = this.presetStore.normalizeConfig(preset.config, this.uiManager.getState().config);
+        const rejected = [...ignored, ...this.uiManager.applyConfig(config)];
+
+        this.uiManager.showPresetStatus(rejected.length > 0
+            ? `${message}; these settings were not recognised and kept their current value: ${rejected.join(', ')}`
+            : message);
+    }
+
+    /**
+     * Delete a saved preset
+     * @param {Object} params - { name }
+     */
+    handlePresetDelete(params) {
+        try {
+            this.presetStore.remove(params.name);
+            this.uiManager.showPresets(this.presetStore.list());
+            this.uiManager.showPresetStatus(`Deleted preset "${params.name}"`);
+        } catch (error) {
+            this.uiManager.showPresetStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Build a link that opens the app with the current settings
+     * @param {Object} params - { name, config }
+     */
+    handlePresetShare(params) {
+        const { name, config } = params;
+        const url = window.location.href.split('#')[0] + this.presetStore.toHash(name, config);
+        this.uiManager.showPresetLink(url);
+    }
+
+    /**
+     * Download all saved presets as JSON
+     */
+    handlePresetExport() {
+        const presets = this.presetStore.list();
+        if (presets.length === 0) {
+            this.uiManager.showPresetStatus('There are no saved presets to export', true);
+            return;
+        }
+
+        this.uiManager.downloadFile('file-renamer-presets.json', this.presetStore.toJSON(presets), 'application/json');
+    }
+
+    /**
+     * Save presets from an imported JSON file
+     * @param {Object} params - File text and name
+     */
+    handlePresetImport(params) {
+        const { text, fileName } = params;
+        const { presets, errors } = this.presetStore.parseJSON(text);
+
+        try {
+            presets.forEach(preset => this.presetStore.save(preset.name, preset.config));
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        this.uiManager.showPresets(this.presetStore.list());
+        if (errors.length > 0) {
+            this.uiManager.showPresetStatus(`${fileName}: ${errors.join('; ')}`, true);
+        } else {
+            this.uiManager.showPresetStatus(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'} from ${fileName} (presets with the same name were replaced)`);
+        }
+    }
+
+    /**
+     * Apply a preset shared through the URL hash
+     */
+    loadPresetFromHash() {
+        const result = this.presetStore.fromHash(window.location.hash);
+        if (!result) return;
+
+        // Drop the hash so a reload doesn't undo later changes
+        history.replaceState(null, '', window.location.href.split('#')[0]);
+
+        if (result.error) {
+            this.uiManager.showPresetStatus(result.error, true);
+            return;
+        }
+
+        const { name } = result.preset;
+        this.uiManager.elements.presetNameInput.value = name;
+        this.applyPreset(result.preset, name
+            ? `Loaded shared preset "${name}" from the link; save it to keep it`
+            : 'Loaded shared settings from the link');
+    }
+
     /**
      * Handle rename execution
+     * The folder is re-scanned first; if it changed since the preview, the
+     * differences are shown and nothing is renamed unless skipStaleCheck is set.
      * @param {Array} previewData - Preview data to execute
+     * @param {string} collisionStrategy - What to do with names taken since the preview
      */
-    async handleRenameExecution(previewData) {
+    async handleRenameExecution(previewData, collisionStrategy = 'bump', skipStaleCheck = false) {
         try {
             if (!previewData || previewData.length === 0) {
                 this.uiManager.showOperationResult({
@@ -226,13 +689,33 @@ class FileRenamerApp {
                 return;
             }
 
+            if (!skipStaleCheck) {
+                const comparison = await this.rescanForChanges(previewData);
+                if (comparison.hasChanges) {
+                    this.uiManager.showStalePreview(comparison);
+                    return;
+                }
+            }
+            this.pendingScan = null;
+
             // Execute renaming with progress callback
+            this.batchController = new BatchController();
+            const controller = this.batchController;
             const result = await this.fileRenamer.executeRenaming(
                 previewData,
                 (current, total, originalName, newName) => {
                     this.uiManager.showProgress(current, total, originalName, newName);
+                },
+                {
+                    collisionStrategy,
+                    signal: controller.signal,
+                    waitIfPaused: () => controller.waitIfPaused()
                 }
             );
+            this.batchController = null;
+
+            // Journal the batch so it can be undone, even after a reload
+            await this.recordBatch(result);
 
             // Show operation result
             this.uiManager.showOperationResult(result);
@@ -242,19 +725,12 @@ class FileRenamerApp {
                 operationResult: result,
                 files: [], // Clear files after operation
                 sortedFiles: [],
+                overrides: {},
                 previewData: []
             });
 
-            // If operation was partially successful, show what was accomplished
-            if (result.successful.length > 0) {
-                console.log(`Successfully renamed ${result.successful.length} files`);
-            }
-
-            if (result.failed.length > 0) {
-                console.warn(`Failed to rename ${result.failed.length} files`);
-            }
-
         } catch (error) {
+            this.batchController = null;
             console.error('Rename execution error:', error);
             this.uiManager.showOperationResult({
                 successful: [],
@@ -267,6 +743,219 @@ class FileRenamerApp {
         }
     }
 
+    /**
+     * Retry failed renames, optionally with new names and back-off for locked files
+     * @param {Object} params - { failures, newNames, backoff, collisionStrategy }
+     */
+    async handleRetryFailed(params) {
+        const { failures, newNames, backoff, collisionStrategy } = params;
+
+        try {
+            const result = await this.fileRenamer.retryFailed(
+                failures,
+                (current, total, originalName, newName) => {
+                    this.uiManager.showProgress(current, total, originalName, newName);
+                },
+                {
+                    newNames,
+                    collisionStrategy,
+                    attempts: backoff ? 4 : 1,
+                    onWait: (attempt, attempts, delay, count) => {
+                        this.uiManager.showRetryWait(attempt, attempts, delay, count);
+                    }
+                }
+            );
+
+            // Failures that were not part of this retry stay on the result screen
+            const untouched = this.uiManager.getState().operationResult?.failed
+                .filter(failure => !failures.includes(failure)) || [];
+            result.failed.push(...untouched);
+            result.totalFiles += untouched.length;
+
+            this.uiManager.showOperationResult(result);
+            await this.recordBatch(result);
+        } catch (error) {
+            console.error('Retry error:', error);
+            this.uiManager.showOperationResult({
+                successful: [],
+                failed: failures.map(failure => ({ ...failure, error: `Retry failed: ${error.message}` })),
+                totalFiles: failures.length,
+                retried: true,
+                startTime: Date.now(),
+                endTime: Date.now(),
+                duration: 0
+            });
+        }
+    }
+
+    /**
+     * Rename the files of a finished batch back to their old names
+     * @param {Object} batchResult - Operation result shown on the result screen
+     */
+    async handleRollback(batchResult) {
+        try {
+            const result = await this.fileRenamer.executeRenaming(
+                this.fileRenamer.createRollbackItems(batchResult.successful),
+                (current, total, originalName, newName) => {
+                    this.uiManager.showProgress(current, total, originalName, newName);
+                }
+            );
+            result.rolledBack = true;
+
+            // The journal entry of a batch that was fully rolled back has nothing left to undo;
+            // renames that failed to go back stay in it, as after an undo
+            if (batchResult.batchId) {
+                try {
+                    if (result.failed.length === 0) {
+                        await this.undoJournal.markUndone(batchResult.batchId);
+                    } else {
+                        const batch = await this.undoJournal.getBatch(batchResult.batchId);
+                        if (batch) {
+                            await this.undoJournal.keepFailedEntries(batch, result.failed);
+                        }
+                    }
+                    await this.refreshUndoAvailability();
+                } catch (error) {
+                    console.warn('Failed to update undo journal:', error);
+                }
+            }
+
+            this.uiManager.showOperationResult(result);
+        } catch (error) {
+            console.error('Rollback error:', error);
+            this.uiManager.showOperationResult({
+                successful: [],
+                failed: [{ originalName: 'Rollback', newName: 'Failed', error: error.message }],
+                totalFiles: batchResult.successful.length,
+                rolledBack: true,
+                startTime: Date.now(),
+                endTime: Date.now(),
+                duration: 0
+            });
+        }
+    }
+
+    /**
+     * Re-scan the selected folder and compare it with the files in the preview
+     * The scan is kept in pendingScan and only replaces the file list when the
+     * preview is regenerated, so the preview stays the baseline until then.
+     * Files the filters left out of the preview are not compared.
+     * @param {Array} previewData - Preview data about to be executed
+     * @returns {Promise<Object>} Comparison from FileSystemManager.compareFiles
+     */
+    async rescanForChanges(previewData) {
+        const pathOf = file => file.path || file.name;
+        const previewFiles = previewData.map(item => item.file);
+        const previewed = new Set(previewFiles);
+        const leftOut = new Set(this.fileSystemManager.getFiles()
+            .filter(file => !previewed.has(file))
+            .map(pathOf));
+
+        this.pendingScan = await this.fileSystemManager.scanDirectory(this.fileSystemManager.getDirectoryHandle(), {
+            recursive: this.uiManager.getState().includeSubfolders
+        });
+        const currentFiles = this.pendingScan.filter(file => !leftOut.has(pathOf(file)));
+
+        return this.fileSystemManager.compareFiles(previewFiles, currentFiles);
+    }
+
+    /**
+     * Rebuild the preview from the latest folder scan and return to Step 3
+     */
+    async handlePreviewRegeneration() {
+        if (this.pendingScan) {
+            this.fileSystemManager.updateFiles(this.pendingScan);
+            this.pendingScan = null;
+        }
+
+        const files = this.fileSystemManager.getFiles();
+        const state = this.uiManager.getState();
+
+        this.uiManager.updateState({
+            files: files,
+            sortedFiles: await this.sortFiles(files, state.config, state.customOrder),
+            previewData: []
+        });
+        this.uiManager.showStep(3);
+        this.uiManager.generatePreview();
+    }
+
+    /**
+     * Store an executed batch in the undo journal
+     * The journal id is kept on the result as batchId.
+     * @param {Object} result - Operation result
+     */
+    async recordBatch(result) {
+        if (result.successful.length === 0 || !this.undoJournal.isSupported()) {
+            return;
+        }
+
+        try {
+            result.batchId = await this.undoJournal.recordBatch(this.fileSystemManager.getDirectoryHandle(), result);
+            await this.refreshUndoAvailability();
+        } catch (error) {
+            console.warn('Failed to record batch in undo journal:', error);
+        }
+    }
+
+    /**
+     * Show or hide the undo panel based on the journal
+     */
+    async refreshUndoAvailability() {
+        if (!this.undoJournal.isSupported()) {
+            return;
+        }
+
+        try {
+            const batch = await this.undoJournal.getLastBatch();
+            this.uiManager.showUndoAvailability(batch);
+        } catch (error) {
+            console.warn('Failed to read undo journal:', error);
+        }
+    }
+
+    /**
+     * Handle undo of the most recent batch
+     */
+    async handleUndoLastRename() {
+        try {
+            const batch = await this.undoJournal.getLastBatch();
+            if (!batch) {
+                this.uiManager.showUndoError('There is no rename to undo.');
+                return;
+            }
+
+            const granted = await this.fileSystemManager.verifyPermission(batch.directoryHandle, 'readwrite');
+            if (!granted) {
+                this.uiManager.showUndoError(`Permission to modify "${batch.directoryName}" was not granted.`);
+                return;
+            }
+
+            // Re-read the folder so changes since the batch ran are detected; the
+            // folder and files of the current session are left as they are
+            const recursive = batch.entries.some(entry => entry.folderPath || entry.movedTo);
+            const currentFiles = await this.fileSystemManager.scanDirectory(batch.directoryHandle, { recursive });
+            const comparison = this.undoJournal.compareWithDirectory(batch, currentFiles);
+
+            const result = await this.fileRenamer.executeRenaming(comparison.items, null, {
+                directory: { handle: batch.directoryHandle, files: currentFiles }
+            });
+
+            // Renames that failed to go back stay in the journal for another attempt
+            if (result.failed.length === 0) {
+                await this.undoJournal.markUndone(batch.id);
+            } else {
+                await this.undoJournal.keepFailedEntries(batch, result.failed);
+            }
+            this.uiManager.showUndoResult(result, comparison);
+            await this.refreshUndoAvailability();
+
+        } catch (error) {
+            console.error('Undo error:', error);
+            this.uiManager.showUndoError('Failed to undo last rename: ' + error.message);
+        }
+    }
+
     /**
      * Clean up resources
      */
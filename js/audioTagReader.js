@@ -0,0 +1,342 @@
+/**
+ * AudioTagReader - Reads artist, album, title and track number from audio files
+ * Understands ID3v2/ID3v1 tags (MP3) and Vorbis comments (FLAC, Ogg Vorbis, Opus)
+ */
+class AudioTagReader {
+    constructor() {
+        this.name = 'audio';
+        this.extensions = ['.mp3', '.flac', '.ogg', '.oga', '.opus'];
+        this.mimeTypes = ['audio/mpeg', 'audio/mp3', 'audio/flac', 'audio/x-flac', 'audio/ogg', 'audio/opus'];
+        // Tags with embedded cover art can be large; the text frames come first in practice
+        this.headerBytes = 512 * 1024;
+        this.id3Frames = {
+            TPE1: 'artist', TP1: 'artist',
+            TALB: 'album', TAL: 'album',
+            TIT2: 'title', TT2: 'title',
+            TRCK: 'track', TRK: 'track'
+        };
+        this.vorbisFields = {
+            ARTIST: 'artist',
+            ALBUM: 'album',
+            TITLE: 'title',
+            TRACKNUMBER: 'track'
+        };
+    }
+
+    /**
+     * Check whether a file may contain tags this reader understands
+     * @param {Object} file - File metadata object (extension and type)
+     * @returns {boolean} True for MP3, FLAC, Ogg and Opus files
+     */
+    canRead(file) {
+        return this.extensions.includes((file.extension || '').toLowerCase()) || this.mimeTypes.includes(file.type);
+    }
+
+    /**
+     * Read the tags of an audio file
+     * @param {Blob} blob - File contents
+     * @returns {Promise<Object|null>} { artist, album, title, track, duration } (missing values left out), or null
+     */
+    async readMetadata(blob) {
+        try {
+            const head = new DataView(await blob.slice(0, this.headerBytes).arrayBuffer());
+            const magic = this.readString(head, 0, 4);
+            let tags = {};
+
+            if (magic.startsWith('ID3')) {
+                tags = this.readId3v2(head);
+            } else if (magic === 'fLaC') {
+                tags = this.readFlac(head);
+            } else if (magic === 'OggS') {
+                tags = this.readOgg(head);
+            }
+
+            // ID3v1 sits in the last 128 bytes of MP3 files written by older tools
+            if (Object.keys(tags).length === 0 && blob.size >= 128) {
+                tags = this.readId3v1(new DataView(await blob.slice(blob.size - 128).arrayBuffer()));
+            }
+
+            return Object.keys(tags).length > 0 ? tags : null;
+        } catch (error) {
+            // Truncated or damaged tags read past the end of the buffer
+            return null;
+        }
+    }
+
+    /**
+     * Read text frames from an ID3v2.2, v2.3 or v2.4 tag
+     * @param {DataView} view - First bytes of the file
+     * @returns {Object} Tags found
+     */
+    readId3v2(view) {
+        const version = view.getUint8(3);
+        const flags = view.getUint8(5);
+        const tagEnd = Math.min(10 + this.readSynchsafe(view, 6), view.byteLength);
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        let bytes = new Uint8Array(view.buffer, view.byteOffset, tagEnd);
+        let position = 10;
+
+        // Unsynchronisation inserts a zero after every 0xFF; v2.4 marks it per frame instead
+        if (flags & 0x80 && version < 4) {
+            bytes = this.removeUnsynchronisation(bytes, position);
+        }
+        const tag = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (flags & 0x40 && version > 2) {
+            // v2.4 counts the extended header itself, v2.3 does not
+            position += version === 4 ? this.readSynchsafe(tag, position) : 4 + tag.getUint32(position);
+        }
+
+        const tags = {};
+        while (position + headerLength <= tag.byteLength) {
+            const id = this.readString(tag, position, idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+            let size;
+            if (version === 2) {
+                size = (tag.getUint8(position + 3) << 16) | (tag.getUint8(position + 4) << 8) | tag.getUint8(position + 5);
+            } else {
+                size = version === 4 ? this.readSynchsafe(tag, position + 4) : tag.getUint32(position + 4);
+            }
+
+            const field = this.id3Frames[id];
+            if (field && size > 1 && position + headerLength + size <= tag.byteLength) {
+                const text = this.decodeId3Text(new Uint8Array(tag.buffer, tag.byteOffset + position + headerLength, size));
+                this.setTag(tags, field, text);
+            }
+            position += headerLength + size;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Read the fixed-width ID3v1 tag
+     * @param {DataView} view - Last 128 bytes of the file
+     * @returns {Object} Tags found
+     */
+    readId3v1(view) {
+        const tags = {};
+        if (this.readString(view, 0, 3) !== 'TAG') return tags;
+
+        const text = (offset, length) => this.readString(view, offset, length).replace(/\0.*$/s, '').trim();
+        this.setTag(tags, 'title', text(3, 30));
+        this.setTag(tags, 'artist', text(33, 30));
+        this.setTag(tags, 'album', text(63, 30));
+        // ID3v1.1 keeps the track number in the last byte of the comment
+        if (view.getUint8(125) === 0 && view.getUint8(126) !== 0) {
+            tags.track = view.getUint8(126);
+        }
+
+        return tags;
+    }
+
+    /**
+     * Read the Vorbis comment and stream length of a FLAC file
+     * @param {DataView} view - First bytes of the file
+     * @returns {Object} Tags found
+     */
+    readFlac(view) {
+        const tags = {};
+        let position = 4;
+        let last = false;
+
+        while (!last && position + 4 <= view.byteLength) {
+            const header = view.getUint8(position);
+            const type = header & 0x7F;
+            const length = (view.getUint8(position + 1) << 16) | (view.getUint16(position + 2));
+            last = (header & 0x80) !== 0;
+            position += 4;
+
+            if (type === 0 && position + 18 <= view.byteLength) {
+                // STREAMINFO: 20-bit sample rate, then 36-bit total sample count
+                const sampleRate = view.getUint32(position + 10) >>> 12;
+                const totalSamples = (view.getUint8(position + 13) & 0x0F) * 2 ** 32 + view.getUint32(position + 14);
+                if (sampleRate > 0 && totalSamples > 0) {
+                    tags.duration = totalSamples / sampleRate;
+                }
+            } else if (type === 4) {
+                Object.assign(tags, this.readVorbisComments(view, position));
+            }
+            position += length;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Read the Vorbis comment packet of an Ogg Vorbis or Opus stream
+     * @param {DataView} view - First bytes of the file
+     * @returns {Object} Tags found
+     */
+    readOgg(view) {
+        const packets = this.readOggPackets(view, 2);
+        const comments = packets[1];
+        if (!comments) return {};
+
+        const packet = new DataView(comments.buffer, comments.byteOffset, comments.byteLength);
+        if (this.readString(packet, 0, 7) === '\x03vorbis') {
+            return this.readVorbisComments(packet, 7);
+        }
+        if (this.readString(packet, 0, 8) === 'OpusTags') {
+            return this.readVorbisComments(packet, 8);
+        }
+        return {};
+    }
+
+    /**
+     * Reassemble the first packets of an Ogg stream from its pages
+     * @param {DataView} view - First bytes of the file
+     * @param {number} count - Number of packets wanted
+     * @returns {Array<Uint8Array>} Complete packets
+     */
+    readOggPackets(view, count) {
+        const packets = [];
+        let current = [];
+        let position = 0;
+
+        while (packets.length < count && position + 27 <= view.byteLength && this.readString(view, position, 4) === 'OggS') {
+            const segmentCount = view.getUint8(position + 26);
+            let dataPosition = position + 27 + segmentCount;
+
+            for (let i = 0; i < segmentCount && packets.length < count; i++) {
+                const size = view.getUint8(position + 27 + i);
+                current.push(new Uint8Array(view.buffer, view.byteOffset + dataPosition, Math.min(size, view.byteLength - dataPosition)));
+                dataPosition += size;
+
+                // A segment shorter than 255 bytes ends the packet
+                if (size < 255) {
+                    packets.push(this.concatBytes(current));
+                    current = [];
+                }
+            }
+            position = dataPosition;
+        }
+
+        return packets;
+    }
+
+    /**
+     * Read KEY=value entries of a Vorbis comment block (little-endian lengths, UTF-8 text)
+     * @param {DataView} view - Bytes
+     * @param {number} position - Offset of the vendor string length
+     * @returns {Object} Tags found
+     */
+    readVorbisComments(view, position) {
+        const tags = {};
+        const decoder = new TextDecoder('utf-8');
+
+        position += 4 + view.getUint32(position, true);
+        const count = view.getUint32(position, true);
+        position += 4;
+
+        for (let i = 0; i < count && position + 4 <= view.byteLength; i++) {
+            const length = view.getUint32(position, true);
+            position += 4;
+            if (position + length > view.byteLength) break;
+
+            const entry = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + position, length));
+            const separator = entry.indexOf('=');
+            const field = this.vorbisFields[entry.substring(0, separator).toUpperCase()];
+            if (separator > 0 && field && tags[field] === undefined) {
+                this.setTag(tags, field, entry.substring(separator + 1));
+            }
+            position += length;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Store a tag value, turning "3/12" style track numbers into numbers
+     * @param {Object} tags - Tags found so far
+     * @param {string} field - Field name
+     * @param {string} value - Text value
+     */
+    setTag(tags, field, value) {
+        const text = (value || '').trim();
+        if (text === '') return;
+
+        if (field === 'track') {
+            const track = parseInt(text, 10);
+            if (track > 0) tags.track = track;
+        } else {
+            tags[field] = text;
+        }
+    }
+
+    /**
+     * Decode an ID3 text frame (first byte is the encoding)
+     * @param {Uint8Array} bytes - Frame contents
+     * @returns {string} Text (first value only)
+     */
+    decodeId3Text(bytes) {
+        const encodings = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+        const text = new TextDecoder(encodings[bytes[0]] || 'iso-8859-1').decode(bytes.subarray(1));
+        // v2.4 separates multiple values with NUL
+        return text.split('\0')[0];
+    }
+
+    /**
+     * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF) after the tag header
+     * @param {Uint8Array} bytes - Tag bytes
+     * @param {number} start - First byte to process
+     * @returns {Uint8Array} Restored bytes
+     */
+    removeUnsynchronisation(bytes, start) {
+        const output = [];
+        bytes.forEach((byte, index) => {
+            if (index >= start && byte === 0x00 && bytes[index - 1] === 0xFF) return;
+            output.push(byte);
+        });
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Read a 28-bit synchsafe integer (7 bits per byte)
+     * @param {DataView} view - Bytes
+     * @param {number} offset - First byte
+     * @returns {number} Value
+     */
+    readSynchsafe(view, offset) {
+        return ((view.getUint8(offset) & 0x7F) << 21) | ((view.getUint8(offset + 1) & 0x7F) << 14) |
+            ((view.getUint8(offset + 2) & 0x7F) << 7) | (view.getUint8(offset + 3) & 0x7F);
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Array<Uint8Array>} parts - Parts
+     * @returns {Uint8Array} Joined bytes
+     */
+    concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Read Latin-1 text from bytes
+     * @param {DataView} view - Bytes
+     * @param {number} offset - First byte
+     * @param {number} length - Number of bytes
+     * @returns {string} Text (shorter if the bytes end first)
+     */
+    readString(view, offset, length) {
+        let text = '';
+        const end = Math.min(offset + length, view.byteLength);
+        for (let i = offset; i < end; i++) {
+            text += String.fromCharCode(view.getUint8(i));
+        }
+        return text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioTagReader;
+}
\ No newline at end of file
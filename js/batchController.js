@@ -0,0 +1,79 @@
+/**
+ * BatchController - Pause, resume and cancel for a running rename batch
+ * Wraps an AbortController for cancelling and a gate the executor waits on while paused
+ */
+class BatchController {
+    constructor() {
+        this.abortController = new AbortController();
+        this.paused = false;
+        this.resumeCallbacks = [];
+    }
+
+    /**
+     * Signal that is aborted when the batch is cancelled
+     * @returns {AbortSignal} Abort signal for FileRenamer.executeRenaming
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /**
+     * Check whether the batch is paused
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Check whether the batch was cancelled
+     * @returns {boolean} True once cancel() was called
+     */
+    isCancelled() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * Pause before the next rename starts
+     */
+    pause() {
+        if (!this.isCancelled()) {
+            this.paused = true;
+        }
+    }
+
+    /**
+     * Continue a paused batch
+     */
+    resume() {
+        this.paused = false;
+        this.resumeCallbacks.splice(0).forEach(callback => callback());
+    }
+
+    /**
+     * Cancel the batch; a paused batch is released so it can stop
+     */
+    cancel() {
+        this.abortController.abort();
+        this.resume();
+    }
+
+    /**
+     * Wait until the batch is resumed or cancelled
+     * @returns {Promise<void>} Resolves immediately when not paused
+     */
+    waitIfPaused() {
+        if (!this.paused) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.resumeCallbacks.push(resolve);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchController;
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * ContentHasher - Finds files with byte-identical content using SHA-256 (SubtleCrypto)
+ * Files are streamed in fixed-size chunks, so large videos are never held in memory at once
+ */
+class ContentHasher {
+    constructor() {
+        // SubtleCrypto cannot hash incrementally: files up to one chunk get their plain SHA-256,
+        // larger files the SHA-256 of their chunk digests, which is just as unique
+        this.chunkSize = 4 * 1024 * 1024;
+    }
+
+    /**
+     * Check whether SubtleCrypto is available (it needs a secure context: https or localhost)
+     * @returns {boolean} True if files can be hashed
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Hash the contents of a file
+     * @param {Object} file - File metadata object with a handle
+     * @param {Object} options - Hash options
+     * @param {AbortSignal} options.signal - Stops hashing between chunks when aborted
+     * @param {Function} options.onBytes - Called with the number of bytes read after each read
+     * @returns {Promise<string>} Hex digest
+     */
+    async hashFile(file, options = {}) {
+        const { signal = null, onBytes = null } = options;
+        const blob = await file.handle.getFile();
+        const reader = blob.stream().getReader();
+        const chunk = new Uint8Array(this.chunkSize);
+        const digests = [];
+        let filled = 0;
+
+        try {
+            for (;;) {
+                this.throwIfAborted(signal);
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                // Stream reads come in any size; collect them into whole chunks
+                let offset = 0;
+                while (offset < value.length) {
+                    const count = Math.min(value.length - offset, chunk.length - filled);
+                    chunk.set(value.subarray(offset, offset + count), filled);
+                    filled += count;
+                    offset += count;
+
+                    if (filled === chunk.length) {
+                        digests.push(await crypto.subtle.digest('SHA-256', chunk));
+                        filled = 0;
+                    }
+                }
+
+                if (onBytes) onBytes(value.length);
+            }
+        } catch (error) {
+            await reader.cancel().catch(() => {});
+            throw error;
+        }
+
+        if (filled > 0 || digests.length === 0) {
+            digests.push(await crypto.subtle.digest('SHA-256', chunk.subarray(0, filled)));
+        }
+        if (digests.length === 1) {
+            return this.toHex(digests[0]);
+        }
+
+        const joined = new Uint8Array(digests.length * 32);
+        digests.forEach((digest, index) => joined.set(new Uint8Array(digest), index * 32));
+        return this.toHex(await crypto.subtle.digest('SHA-256', joined));
+    }
+
+    /**
+     * Find groups of files with identical content
+     * Only files that share their size with another file are hashed; hashes are kept
+     * on the file objects (file.contentHash), so a second search reads nothing again.
+     * @param {Array} files - Array of file objects, in display order
+     * @param {Object} options - Search options
+     * @param {AbortSignal} options.signal - Cancels the search (rejects with an AbortError)
+     * @param {Function} options.onProgress - Called with { filesDone, filesTotal, bytesDone, bytesTotal, name }
+     * @returns {Promise<Array<Array>>} Groups of two or more identical files, each in display order
+     */
+    async findDuplicates(files, options = {}) {
+        const { signal = null, onProgress = null } = options;
+
+        // Files of a size no other file has cannot have a copy; empty files are not compared
+        const sizeCounts = new Map();
+        files.forEach(file => sizeCounts.set(file.size, (sizeCounts.get(file.size) || 0) + 1));
+        const candidates = files.filter(file => file.size > 0 && sizeCounts.get(file.size) > 1);
+        const toHash = candidates.filter(file => file.contentHash === undefined);
+
+        const progress = {
+            filesDone: 0,
+            filesTotal: toHash.length,
+            bytesDone: 0,
+            bytesTotal: toHash.reduce((total, file) => total + file.size, 0),
+            name: ''
+        };
+
+        for (const file of toHash) {
+            progress.name = file.name;
+            if (onProgress) onProgress({ ...progress });
+
+            try {
+                file.contentHash = await this.hashFile(file, {
+                    signal,
+                    onBytes: count => {
+                        progress.bytesDone += count;
+                        if (onProgress) onProgress({ ...progress });
+                    }
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Locked or deleted files are left out of the comparison
+                console.warn(`Could not hash ${file.name}:`, error);
+                file.contentHash = null;
+            }
+            progress.filesDone++;
+        }
+
+        const groups = new Map();
+        candidates.forEach(file => {
+            if (!file.contentHash) return;
+            const key = `${file.size}:${file.contentHash}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(file);
+        });
+
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+
+    /**
+     * Stop with an AbortError once the signal is aborted
+     * @param {AbortSignal|null} signal - Abort signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('The duplicate check was cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Format a digest as lower-case hex
+     * @param {ArrayBuffer} buffer - Digest
+     * @returns {string} Hex string
+     */
+    toHex(buffer) {
+        return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentHasher;
+}
\ No newline at end of file
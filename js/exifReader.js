@@ -0,0 +1,390 @@
+/**
+ * ExifReader - Reads capture time, camera and orientation from photo EXIF data
+ * Understands JPEG (APP1 segment), TIFF and HEIC/HEIF (Exif item in the meta box) without any library
+ */
+class ExifReader {
+    constructor() {
+        this.name = 'exif';
+        this.extensions = ['.jpg', '.jpeg', '.jpe', '.tif', '.tiff', '.heic', '.heif'];
+        this.mimeTypes = ['image/jpeg', 'image/tiff', 'image/heic', 'image/heif'];
+        // The EXIF block of a JPEG must fit in one 64 KB segment; TIFF and HEIC keep it near the start
+        this.headerBytes = 256 * 1024;
+        this.tags = {
+            make: 0x010F,
+            model: 0x0110,
+            orientation: 0x0112,
+            exifIfd: 0x8769,
+            dateTimeOriginal: 0x9003
+        };
+        this.orientations = {
+            1: 'normal',
+            2: 'mirrored',
+            3: 'rotated-180',
+            4: 'flipped',
+            5: 'mirrored-rotated-90',
+            6: 'rotated-90',
+            7: 'mirrored-rotated-270',
+            8: 'rotated-270'
+        };
+    }
+
+    /**
+     * Check whether a file may contain EXIF data this reader understands
+     * @param {Object} file - File metadata object (extension and type)
+     * @returns {boolean} True for JPEG, TIFF and HEIC/HEIF files
+     */
+    canRead(file) {
+        return this.extensions.includes((file.extension || '').toLowerCase()) || this.mimeTypes.includes(file.type);
+    }
+
+    /**
+     * Read the capture time, camera model and orientation for MetadataReaders
+     * @param {Blob} blob - File contents
+     * @returns {Promise<Object|null>} { taken, camera, orientation }, or null if the file has no EXIF block
+     */
+    async readMetadata(blob) {
+        const exif = await this.read(blob);
+        if (!exif) return null;
+
+        return {
+            taken: exif.dateTimeOriginal,
+            camera: exif.model,
+            orientation: exif.orientationName
+        };
+    }
+
+    /**
+     * Read EXIF data from a photo
+     * @param {Blob} blob - File contents (from FileSystemFileHandle.getFile())
+     * @returns {Promise<Object|null>} { dateTimeOriginal, make, model, orientation, orientationName },
+     *                                 or null if the file has no EXIF block
+     */
+    async read(blob) {
+        try {
+            const head = await this.readBytes(blob, 0, this.headerBytes);
+            const block = await this.findTiffBlock(blob, head);
+            return block ? this.parseTiff(block.view, block.offset) : null;
+        } catch (error) {
+            // Truncated or damaged files read past the end of the buffer
+            return null;
+        }
+    }
+
+    /**
+     * Read part of a blob
+     * @param {Blob} blob - File contents
+     * @param {number} start - First byte
+     * @param {number} length - Number of bytes
+     * @returns {Promise<DataView>} Bytes read (shorter at the end of the file)
+     */
+    async readBytes(blob, start, length) {
+        return new DataView(await blob.slice(start, start + length).arrayBuffer());
+    }
+
+    /**
+     * Locate the TIFF structure that holds the EXIF tags
+     * @param {Blob} blob - File contents
+     * @param {DataView} head - First bytes of the file
+     * @returns {Promise<Object|null>} { view, offset } of the TIFF header, or null
+     */
+    async findTiffBlock(blob, head) {
+        if (head.byteLength < 12) return null;
+
+        if (head.getUint16(0) === 0xFFD8) {
+            return this.findJpegExif(head);
+        }
+
+        const byteOrder = head.getUint16(0);
+        if (byteOrder === 0x4949 || byteOrder === 0x4D4D) {
+            return { view: head, offset: 0 };
+        }
+
+        if (this.readString(head, 4, 4) === 'ftyp') {
+            return this.findHeifExif(blob, head);
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the Exif APP1 segment of a JPEG
+     * @param {DataView} view - First bytes of the file
+     * @returns {Object|null} { view, offset } of the TIFF header, or null
+     */
+    findJpegExif(view) {
+        let position = 2;
+
+        while (position + 4 <= view.byteLength && view.getUint8(position) === 0xFF) {
+            const marker = view.getUint8(position + 1);
+            // Image data starts at SOS; metadata segments all come before it
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const size = view.getUint16(position + 2);
+            if (marker === 0xE1 && this.readString(view, position + 4, 6) === 'Exif\0\0') {
+                return { view, offset: position + 10 };
+            }
+            position += 2 + size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the Exif item of a HEIC/HEIF file through its iinf and iloc boxes
+     * @param {Blob} blob - File contents
+     * @param {DataView} head - First bytes of the file
+     * @returns {Promise<Object|null>} { view, offset } of the TIFF header, or null
+     */
+    async findHeifExif(blob, head) {
+        const meta = this.findBox(head, 0, head.byteLength, 'meta');
+        if (!meta) return null;
+
+        // meta is a full box: skip version and flags
+        const iinf = this.findBox(head, meta.start + 4, meta.end, 'iinf');
+        const iloc = this.findBox(head, meta.start + 4, meta.end, 'iloc');
+        if (!iinf || !iloc) return null;
+
+        const itemId = this.findExifItemId(head, iinf);
+        const extent = itemId === null ? null : this.findItemExtent(head, iloc, itemId);
+        if (!extent) return null;
+
+        const item = await this.readBytes(blob, extent.offset, extent.length);
+        // The Exif item starts with a 4-byte offset, counted from the end of that field, to the TIFF header
+        return { view: item, offset: 4 + item.getUint32(0) };
+    }
+
+    /**
+     * Find a box (ISO base media file format) among siblings
+     * @param {DataView} view - Bytes
+     * @param {number} start - Offset of the first sibling
+     * @param {number} end - End of the parent
+     * @param {string} type - Four-character box type
+     * @returns {Object|null} { start, end } of the box contents, or null
+     */
+    findBox(view, start, end, type) {
+        let position = start;
+
+        while (position + 8 <= end) {
+            let size = view.getUint32(position);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(position + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - position;
+            }
+            if (size < headerSize) return null;
+
+            if (this.readString(view, position + 4, 4) === type) {
+                return { start: position + headerSize, end: Math.min(position + size, end) };
+            }
+            position += size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the ID of the item whose type is Exif from an iinf box
+     * @param {DataView} view - Bytes
+     * @param {Object} iinf - { start, end } of the iinf contents
+     * @returns {number|null} Item ID, or null
+     */
+    findExifItemId(view, iinf) {
+        const version = view.getUint8(iinf.start);
+        let position = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+        while (position + 8 <= iinf.end) {
+            const size = view.getUint32(position);
+            if (size < 8) return null;
+
+            if (this.readString(view, position + 4, 4) === 'infe') {
+                const infeVersion = view.getUint8(position + 8);
+                // Item types exist from infe version 2 onwards
+                if (infeVersion >= 2) {
+                    const idSize = infeVersion === 2 ? 2 : 4;
+                    const itemId = idSize === 2 ? view.getUint16(position + 12) : view.getUint32(position + 12);
+                    if (this.readString(view, position + 12 + idSize + 2, 4) === 'Exif') {
+                        return itemId;
+                    }
+                }
+            }
+            position += size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the file position of an item from an iloc box
+     * @param {DataView} view - Bytes
+     * @param {Object} iloc - { start, end } of the iloc contents
+     * @param {number} itemId - Item ID
+     * @returns {Object|null} { offset, length } of the first extent, or null
+     */
+    findItemExtent(view, iloc, itemId) {
+        const version = view.getUint8(iloc.start);
+        const sizes = view.getUint8(iloc.start + 4);
+        const offsetSize = sizes >> 4;
+        const lengthSize = sizes & 0x0F;
+        const baseSizes = view.getUint8(iloc.start + 5);
+        const baseOffsetSize = baseSizes >> 4;
+        const indexSize = version === 1 || version === 2 ? baseSizes & 0x0F : 0;
+        const readNumber = (position, size) => {
+            if (size === 0) return 0;
+            if (size === 2) return view.getUint16(position);
+            if (size === 4) return view.getUint32(position);
+            return Number(view.getBigUint64(position));
+        };
+
+        let position = iloc.start + 6;
+        const itemCount = version < 2 ? view.getUint16(position) : view.getUint32(position);
+        position += version < 2 ? 2 : 4;
+
+        for (let i = 0; i < itemCount && position < iloc.end; i++) {
+            const id = version < 2 ? view.getUint16(position) : view.getUint32(position);
+            position += version < 2 ? 2 : 4;
+
+            let constructionMethod = 0;
+            if (version === 1 || version === 2) {
+                constructionMethod = view.getUint16(position) & 0x0F;
+                position += 2;
+            }
+            position += 2; // data_reference_index
+
+            const baseOffset = readNumber(position, baseOffsetSize);
+            position += baseOffsetSize;
+            const extentCount = view.getUint16(position);
+            position += 2;
+
+            const extents = [];
+            for (let j = 0; j < extentCount; j++) {
+                position += indexSize;
+                const offset = readNumber(position, offsetSize);
+                position += offsetSize;
+                const length = readNumber(position, lengthSize);
+                position += lengthSize;
+                extents.push({ offset: baseOffset + offset, length });
+            }
+
+            // Only items stored as plain file ranges are supported
+            if (id === itemId) {
+                return constructionMethod === 0 && extents.length > 0 ? extents[0] : null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the tags this reader uses from a TIFF structure
+     * @param {DataView} view - Bytes
+     * @param {number} start - Offset of the TIFF header (offsets inside are relative to it)
+     * @returns {Object|null} { dateTimeOriginal, make, model, orientation, orientationName },
+     *                         or null if the header is invalid
+     */
+    parseTiff(view, start) {
+        const byteOrder = view.getUint16(start);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+
+        const littleEndian = byteOrder === 0x4949;
+        if (view.getUint16(start + 2, littleEndian) !== 42) return null;
+
+        const ifd0 = this.readIfd(view, start, start + view.getUint32(start + 4, littleEndian), littleEndian);
+        const exifOffset = ifd0[this.tags.exifIfd];
+        const exifIfd = typeof exifOffset === 'number'
+            ? this.readIfd(view, start, start + exifOffset, littleEndian)
+            : {};
+
+        return {
+            dateTimeOriginal: this.parseDate(exifIfd[this.tags.dateTimeOriginal]),
+            make: typeof ifd0[this.tags.make] === 'string' ? ifd0[this.tags.make] : '',
+            model: typeof ifd0[this.tags.model] === 'string' ? ifd0[this.tags.model] : '',
+            orientation: this.orientations[ifd0[this.tags.orientation]] ? ifd0[this.tags.orientation] : null,
+            orientationName: this.describeOrientation(ifd0[this.tags.orientation])
+        };
+    }
+
+    /**
+     * Read the ASCII, SHORT and LONG entries of an image file directory
+     * @param {DataView} view - Bytes
+     * @param {number} start - Offset of the TIFF header
+     * @param {number} position - Offset of the directory
+     * @param {boolean} littleEndian - Byte order
+     * @returns {Object} Tag number -> value (strings for ASCII, numbers for SHORT and LONG)
+     */
+    readIfd(view, start, position, littleEndian) {
+        const entries = {};
+        if (position + 2 > view.byteLength) return entries;
+
+        const count = view.getUint16(position, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = position + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+
+            if (type === 2) {
+                // Values of up to four bytes are stored in the entry itself
+                const offset = valueCount <= 4 ? entry + 8 : start + view.getUint32(entry + 8, littleEndian);
+                if (offset + valueCount <= view.byteLength) {
+                    entries[tag] = this.readString(view, offset, valueCount).replace(/\0.*$/s, '').trim();
+                }
+            } else if (type === 3) {
+                entries[tag] = view.getUint16(entry + 8, littleEndian);
+            } else if (type === 4) {
+                entries[tag] = view.getUint32(entry + 8, littleEndian);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Turn an EXIF date ("YYYY:MM:DD HH:MM:SS", camera local time) into a timestamp
+     * @param {string} value - EXIF date text
+     * @returns {number|null} Unix timestamp in milliseconds, or null when unset or invalid
+     */
+    parseDate(value) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+
+        const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+        // Cameras without a clock set write zeros
+        if (year === 0 || month === 0 || day === 0) return null;
+
+        return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+
+    /**
+     * Describe an EXIF orientation value
+     * @param {number} orientation - EXIF orientation (1-8)
+     * @returns {string} Description such as 'rotated-90', or '' if unknown
+     */
+    describeOrientation(orientation) {
+        return this.orientations[orientation] || '';
+    }
+
+    /**
+     * Read Latin-1 text from bytes
+     * @param {DataView} view - Bytes
+     * @param {number} offset - First byte
+     * @param {number} length - Number of bytes
+     * @returns {string} Text (shorter if the bytes end first)
+     */
+    readString(view, offset, length) {
+        let text = '';
+        const end = Math.min(offset + length, view.byteLength);
+        for (let i = offset; i < end; i++) {
+            text += String.fromCharCode(view.getUint8(i));
+        }
+        return text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExifReader;
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * ExtensionParser - Splits file names into base name and extension
+ * Shared by the folder scanner and the renamer so both agree on compound extensions
+ */
+class ExtensionParser {
+    constructor(compoundExtensions = null) {
+        this.defaultCompoundExtensions = ['.tar.gz', '.tar.bz2', '.tar.xz', '.tar.zst', '.tar.lz'];
+        this.aliases = {
+            '.jpeg': '.jpg',
+            '.jpe': '.jpg',
+            '.tiff': '.tif',
+            '.htm': '.html',
+            '.mpeg': '.mpg',
+            '.markdown': '.md'
+        };
+        this.setCompoundExtensions(compoundExtensions || this.defaultCompoundExtensions);
+    }
+
+    /**
+     * Set the list of known compound extensions (e.g. .tar.gz)
+     * @param {Array<string>|string} extensions - Extensions as an array or comma-separated string
+     */
+    setCompoundExtensions(extensions) {
+        const list = Array.isArray(extensions) ? extensions : String(extensions || '').split(',');
+
+        this.compoundExtensions = list
+            .map(ext => ext.trim().toLowerCase())
+            .filter(ext => ext !== '' && ext !== '.')
+            .map(ext => ext.startsWith('.') ? ext : '.' + ext)
+            // Longest first so .tar.gz wins over a shorter configured suffix
+            .sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Get the list of known compound extensions
+     * @returns {Array<string>} Compound extensions (lower case, with dot)
+     */
+    getCompoundExtensions() {
+        return [...this.compoundExtensions];
+    }
+
+    /**
+     * Split a file name into base name and extension
+     * Dot files such as ".gitignore" and names ending in a dot have no extension.
+     * @param {string} fileName - File name
+     * @returns {Object} { baseName, extension } where extension includes the dot
+     */
+    parse(fileName) {
+        if (!fileName) {
+            return { baseName: '', extension: '' };
+        }
+
+        const lowerName = fileName.toLowerCase();
+        const compound = this.compoundExtensions.find(ext =>
+            lowerName.endsWith(ext) && lowerName.length > ext.length
+        );
+        if (compound) {
+            const splitIndex = fileName.length - compound.length;
+            return { baseName: fileName.substring(0, splitIndex), extension: fileName.substring(splitIndex) };
+        }
+
+        const lastDotIndex = fileName.lastIndexOf('.');
+        if (lastDotIndex <= 0 || lastDotIndex === fileName.length - 1) {
+            return { baseName: fileName, extension: '' };
+        }
+
+        return { baseName: fileName.substring(0, lastDotIndex), extension: fileName.substring(lastDotIndex) };
+    }
+
+    /**
+     * Rewrite an extension according to the selected option
+     * @param {string} extension - Original extension (with dot)
+     * @param {Object} options - Rewrite options
+     * @param {string} options.mode - 'keep', 'lower', 'normalize', 'replace' or 'remove'
+     * @param {string} options.replacement - New extension for 'replace' mode (with or without dot)
+     * @returns {string} Rewritten extension (with dot) or empty string
+     */
+    rewrite(extension, options = {}) {
+        const { mode = 'keep', replacement = '' } = options;
+
+        switch (mode) {
+            case 'lower':
+                return extension.toLowerCase();
+            case 'normalize': {
+                const lower = extension.toLowerCase();
+                return this.aliases[lower] || lower;
+            }
+            case 'replace': {
+                const trimmed = replacement.trim();
+                if (trimmed === '' || trimmed === '.') return '';
+                return trimmed.startsWith('.') ? trimmed : '.' + trimmed;
+            }
+            case 'remove':
+                return '';
+            default:
+                return extension;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtensionParser;
+}
\ No newline at end of file
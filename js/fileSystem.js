@@ -3,7 +3,9 @@
  * Provides wrapper functions for folder selection, file reading, and renaming
  */
 class FileSystemManager {
-    constructor() {
+    constructor(extensionParser = null, metadataReaders = null) {
+        this.extensionParser = extensionParser || new ExtensionParser();
+        this.metadataReaders = metadataReaders || new MetadataReaders();
         this.isSupported = this.checkBrowserSupport();
         this.directoryHandle = null;
         this.files = [];
@@ -44,46 +46,81 @@ class FileSystemManager {
     }
 
     /**
-     * Get all files from the selected directory (non-recursive)
+     * Get all files from the selected directory
      * @param {FileSystemDirectoryHandle} directoryHandle - Directory handle to read from
+     * @param {Object} options - Scan options
+     * @param {boolean} options.recursive - Also read files in subfolders
      * @returns {Promise<Array>} Array of file objects with metadata
      */
-    async getFilesFromDirectory(directoryHandle = null) {
-        const dirHandle = directoryHandle || this.directoryHandle;
-        if (!dirHandle) {
+    async getFilesFromDirectory(directoryHandle = null, options = {}) {
+        this.files = await this.scanDirectory(directoryHandle || this.directoryHandle, options);
+        return this.files;
+    }
+
+    /**
+     * Read the files of a directory without keeping them as the current file list
+     * @param {FileSystemDirectoryHandle} directoryHandle - Directory handle to read from
+     * @param {Object} options - Scan options
+     * @param {boolean} options.recursive - Also read files in subfolders
+     * @returns {Promise<Array>} Array of file objects with metadata
+     */
+    async scanDirectory(directoryHandle, options = {}) {
+        if (!directoryHandle) {
             throw new Error('No directory selected');
         }
 
-        this.files = [];
+        const files = [];
 
         try {
-            for await (const [name, handle] of dirHandle.entries()) {
-                // Skip directories, only process files
-                if (handle.kind === 'file') {
-                    const fileData = await this.getFileMetadata(handle, name);
-                    this.files.push(fileData);
-                }
-            }
+            await this.collectFiles(directoryHandle, '', options.recursive === true, files);
         } catch (error) {
             throw new Error(`Failed to read directory: ${error.message}`);
         }
 
-        return this.files;
+        return files;
+    }
+
+    /**
+     * Read the files of one directory into a list, descending into subfolders if asked
+     * @param {FileSystemDirectoryHandle} dirHandle - Directory to read
+     * @param {string} folderPath - Path of dirHandle relative to the scanned folder ('' for the root)
+     * @param {boolean} recursive - Whether to read subfolders
+     * @param {Array} files - List the file objects are added to
+     */
+    async collectFiles(dirHandle, folderPath, recursive, files) {
+        const subfolders = [];
+
+        for await (const [name, handle] of dirHandle.entries()) {
+            if (handle.kind === 'file') {
+                const fileData = await this.getFileMetadata(handle, name, {
+                    name: dirHandle.name,
+                    path: folderPath,
+                    handle: dirHandle
+                });
+                files.push(fileData);
+            } else if (recursive && handle.kind === 'directory') {
+                subfolders.push([name, handle]);
+            }
+        }
+
+        for (const [name, handle] of subfolders) {
+            await this.collectFiles(handle, folderPath ? `${folderPath}/${name}` : name, recursive, files);
+        }
     }
 
     /**
      * Get file metadata including size, dates, and extension
      * @param {FileSystemFileHandle} fileHandle - File handle
      * @param {string} fileName - File name
+     * @param {Object} directory - Containing folder: { name, path, handle }
      * @returns {Promise<Object>} File metadata object
      */
-    async getFileMetadata(fileHandle, fileName) {
+    async getFileMetadata(fileHandle, fileName, directory = {}) {
         try {
             const file = await fileHandle.getFile();
 
-            // Extract file extension
-            const lastDotIndex = fileName.lastIndexOf('.');
-            const extension = lastDotIndex > 0 ? fileName.substring(lastDotIndex) : '';
+            // Extract file extension (compound extensions such as .tar.gz stay together)
+            const { baseName, extension } = this.extensionParser.parse(fileName);
 
             // Get file size and dates
             const size = file.size;
@@ -107,7 +144,12 @@ class FileSystemManager {
                 lastModified: lastModified,
                 creationTime: creationTime,
                 extension: extension,
-                type: file.type
+                baseName: baseName,
+                type: file.type,
+                folder: directory.name || '',
+                folderPath: directory.path || '',
+                path: directory.path ? `${directory.path}/${fileName}` : fileName,
+                parentHandle: directory.handle || null
             };
         } catch (error) {
             throw new Error(`Failed to get metadata for ${fileName}: ${error.message}`);
@@ -115,31 +157,69 @@ class FileSystemManager {
     }
 
     /**
-     * Rename a file using the File System Access API
+     * Re-split file names after the compound extension list changed
+     * @param {Array} files - File objects from getFilesFromDirectory
+     * @returns {Array} The same file objects with updated extension and baseName
+     */
+    refreshExtensions(files) {
+        files.forEach(file => {
+            const { baseName, extension } = this.extensionParser.parse(file.name);
+            file.extension = extension;
+            file.baseName = baseName;
+        });
+
+        return files;
+    }
+
+    /**
+     * Read content metadata (EXIF, audio tags, movie header, PDF info) of files not read yet
+     * Scanning only collects file system metadata; this runs when sorting or naming needs more.
+     * Sets file.metadata to the fields found, or to null when the file has none or no reader
+     * understands it ("metadata unavailable").
+     * @param {Array} files - File objects from getFilesFromDirectory
+     * @returns {Promise<Array>} The same file objects
+     */
+    async loadMetadata(files) {
+        for (const file of files) {
+            if (file.metadata !== undefined) continue;
+
+            try {
+                file.metadata = await this.metadataReaders.read(file);
+            } catch (error) {
+                console.warn(`Could not read metadata of ${file.name}:`, error);
+                file.metadata = null;
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Rename a file using the File System Access API, optionally moving it to another folder
      * @param {FileSystemFileHandle} fileHandle - File handle to rename
      * @param {string} newName - New file name
+     * @param {FileSystemDirectoryHandle} directoryHandle - Folder to move the file into (null keeps it where it is)
      * @returns {Promise<boolean>} True if successful, false otherwise
      */
-    async renameFile(fileHandle, newName) {
+    async renameFile(fileHandle, newName, directoryHandle = null) {
         try {
             // Validate new name
             if (!newName || newName.trim() === '') {
                 throw new Error('File name cannot be empty');
             }
 
-            // Check for invalid characters
-            const invalidChars = /[<>:"/\\|?*]/;
-            if (invalidChars.test(newName)) {
+            // Path separators can never be part of a name; the target profile's
+            // character and length rules were checked when the preview was built
+            if (/[/\\\x00]/.test(newName)) {
                 throw new Error('File name contains invalid characters');
             }
 
-            // Check if name is too long
-            if (newName.length > 255) {
-                throw new Error('File name is too long (max 255 characters)');
-            }
-
             // Perform the rename operation
-            await fileHandle.move(newName);
+            if (directoryHandle) {
+                await fileHandle.move(directoryHandle, newName);
+            } else {
+                await fileHandle.move(newName);
+            }
             return true;
         } catch (error) {
             if (error.name === 'NotAllowedError') {
@@ -151,10 +231,40 @@ class FileSystemManager {
             if (error.name === 'NoModificationAllowedError') {
                 throw new Error('File is locked or cannot be modified');
             }
+            if (error.name === 'InvalidModificationError') {
+                throw new Error('A file with the new name already exists');
+            }
+            if (error.name === 'TypeError') {
+                throw new Error(`The file system does not allow this name: ${error.message}`);
+            }
             throw new Error(`Failed to rename file: ${error.message}`);
         }
     }
 
+    /**
+     * Make sure a stored directory handle can still be used
+     * Queries the current permission and asks the user again if needed
+     * @param {FileSystemDirectoryHandle} handle - Directory handle (e.g. restored from IndexedDB)
+     * @param {string} mode - Permission mode ('read' or 'readwrite')
+     * @returns {Promise<boolean>} True if permission is granted
+     */
+    async verifyPermission(handle, mode = 'readwrite') {
+        const options = { mode };
+
+        try {
+            if (handle.queryPermission && await handle.queryPermission(options) === 'granted') {
+                return true;
+            }
+            if (handle.requestPermission && await handle.requestPermission(options) === 'granted') {
+                return true;
+            }
+        } catch (error) {
+            throw new Error(`Failed to get permission for folder: ${error.message}`);
+        }
+
+        return false;
+    }
+
     /**
      * Get the directory handle for the selected folder
      * @returns {FileSystemDirectoryHandle|null} Current directory handle
@@ -171,6 +281,79 @@ class FileSystemManager {
         return this.files;
     }
 
+    /**
+     * Replace the file list with a new scan of the selected folder
+     * Metadata and content hashes already read are kept for files whose path,
+     * size and modification time did not change.
+     * @param {Array} scannedFiles - Files from scanDirectory
+     * @returns {Array} The new file list
+     */
+    updateFiles(scannedFiles) {
+        const pathOf = file => file.path || file.name;
+        const previousByPath = new Map(this.files.map(file => [pathOf(file), file]));
+
+        scannedFiles.forEach(file => {
+            const previous = previousByPath.get(pathOf(file));
+            if (!previous || previous.size !== file.size || previous.lastModified !== file.lastModified) {
+                return;
+            }
+            if (previous.metadata !== undefined) file.metadata = previous.metadata;
+            if (previous.contentHash !== undefined) file.contentHash = previous.contentHash;
+        });
+
+        this.files = scannedFiles;
+        return this.files;
+    }
+
+    /**
+     * Compare two scans of the same folder
+     * A file that disappeared while a file with the same size and modification time
+     * appeared in the same subfolder is reported as renamed.
+     * @param {Array} previousFiles - Files from the earlier scan
+     * @param {Array} currentFiles - Files from the new scan
+     * @returns {Object} { added, removed, modified: [{ file, current }], renamed: [{ file, current }], hasChanges }
+     */
+    compareFiles(previousFiles, currentFiles) {
+        const pathOf = file => file.path || file.name;
+        const previousByPath = new Map(previousFiles.map(file => [pathOf(file), file]));
+        const currentByPath = new Map(currentFiles.map(file => [pathOf(file), file]));
+        let added = currentFiles.filter(file => !previousByPath.has(pathOf(file)));
+        const removed = [];
+        const modified = [];
+        const renamed = [];
+
+        previousFiles.forEach(file => {
+            const current = currentByPath.get(pathOf(file));
+
+            if (!current) {
+                const match = added.find(candidate =>
+                    candidate.folderPath === file.folderPath &&
+                    candidate.size === file.size &&
+                    candidate.lastModified === file.lastModified
+                );
+                if (match) {
+                    renamed.push({ file, current: match });
+                    added = added.filter(candidate => candidate !== match);
+                } else {
+                    removed.push(file);
+                }
+                return;
+            }
+
+            if (current.size !== file.size || current.lastModified !== file.lastModified) {
+                modified.push({ file, current });
+            }
+        });
+
+        return {
+            added,
+            removed,
+            modified,
+            renamed,
+            hasChanges: added.length + removed.length + modified.length + renamed.length > 0
+        };
+    }
+
     /**
      * Clear the current directory handle and file list
      */
@@ -182,15 +365,17 @@ class FileSystemManager {
     /**
      * Check if a file name already exists in the directory
      * @param {string} fileName - File name to check
+     * @param {FileSystemDirectoryHandle} directoryHandle - Folder to check (defaults to the selected folder)
      * @returns {Promise<boolean>} True if file exists, false otherwise
      */
-    async fileExists(fileName) {
-        if (!this.directoryHandle) {
+    async fileExists(fileName, directoryHandle = null) {
+        const dirHandle = directoryHandle || this.directoryHandle;
+        if (!dirHandle) {
             return false;
         }
 
         try {
-            await this.directoryHandle.getFileHandle(fileName);
+            await dirHandle.getFileHandle(fileName);
             return true;
         } catch (error) {
             if (error.name === 'NotFoundError') {
@@ -201,6 +386,25 @@ class FileSystemManager {
         }
     }
 
+    /**
+     * Get the handle of a folder inside the selected folder
+     * @param {string} folderPath - Path relative to the selected folder ('' for the folder itself)
+     * @param {boolean} create - Create missing folders on the way
+     * @param {FileSystemDirectoryHandle} rootHandle - Folder the path starts from (defaults to the selected folder)
+     * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+     */
+    async getFolderHandle(folderPath, create = false, rootHandle = null) {
+        if (!rootHandle && !this.directoryHandle) {
+            throw new Error('No folder selected');
+        }
+
+        let handle = rootHandle || this.directoryHandle;
+        for (const name of folderPath.split('/').filter(name => name !== '')) {
+            handle = await handle.getDirectoryHandle(name, { create });
+        }
+        return handle;
+    }
+
     /**
      * Get formatted file size for display
      * @param {number} bytes - Size in bytes
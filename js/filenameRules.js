@@ -0,0 +1,233 @@
+/**
+ * FilenameRules - Naming rules of the file system the renamed files will end up on
+ * Each target profile selects which rules apply; validation reports the rule every violation breaks
+ */
+class FilenameRules {
+    constructor(profileId = 'windows', extensionParser = null) {
+        this.extensionParser = extensionParser || new ExtensionParser();
+
+        // Windows, FAT32 and exFAT count UTF-16 code units; APFS and ext4/btrfs count UTF-8 bytes
+        this.profiles = {
+            windows: {
+                label: 'Windows (NTFS)',
+                invalidCharacters: '<>:"/\\|?*',
+                controlCharacters: true,
+                reservedNames: true,
+                trailingSpaceOrDot: true,
+                maxLength: 255,
+                lengthUnit: 'utf16'
+            },
+            macos: {
+                label: 'macOS (APFS)',
+                invalidCharacters: '/:\0',
+                controlCharacters: false,
+                reservedNames: false,
+                trailingSpaceOrDot: false,
+                maxLength: 255,
+                lengthUnit: 'utf8'
+            },
+            linux: {
+                label: 'Linux / NAS (ext4, Btrfs)',
+                invalidCharacters: '/\0',
+                controlCharacters: false,
+                reservedNames: false,
+                trailingSpaceOrDot: false,
+                maxLength: 255,
+                lengthUnit: 'utf8'
+            },
+            // FAT32 and exFAT follow the Windows rules (see getProfile)
+            fat32: { label: 'USB stick (FAT32)', rulesOf: 'windows' },
+            exfat: { label: 'USB stick / SD card (exFAT)', rulesOf: 'windows' }
+        };
+        this.rules = {
+            'empty': 'Empty name',
+            'dot-name': 'Dot name',
+            'max-length': 'Maximum length',
+            'invalid-characters': 'Invalid characters',
+            'control-characters': 'Control characters',
+            'reserved-name': 'Reserved name',
+            'trailing-space-or-dot': 'Trailing space or dot',
+            'leading-dot': 'Leading dot'
+        };
+        this.reservedNamePattern = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
+        this.setProfile(profileId);
+    }
+
+    /**
+     * Select the target profile
+     * @param {string} profileId - One of the keys of this.profiles
+     */
+    setProfile(profileId) {
+        if (!this.profiles[profileId]) {
+            throw new Error(`Unknown target profile: ${profileId}`);
+        }
+        this.profileId = profileId;
+    }
+
+    /**
+     * Get the selected profile
+     * @returns {Object} Profile settings including id and label
+     */
+    getProfile() {
+        const profile = this.profiles[this.profileId];
+        const rules = profile.rulesOf ? this.profiles[profile.rulesOf] : {};
+        return { ...rules, ...profile, id: this.profileId };
+    }
+
+    /**
+     * Get the available profiles for a select box
+     * @returns {Array<Object>} Profiles as { id, label }
+     */
+    getProfiles() {
+        return Object.entries(this.profiles).map(([id, profile]) => ({ id, label: profile.label }));
+    }
+
+    /**
+     * Measure a name in the unit the profile limits
+     * @param {string} name - File name
+     * @param {string} unit - 'utf8' (bytes) or 'utf16' (code units)
+     * @returns {number} Length
+     */
+    measureLength(name, unit = this.getProfile().lengthUnit) {
+        return unit === 'utf8' ? new TextEncoder().encode(name).length : name.length;
+    }
+
+    /**
+     * Build a regular expression matching characters the profile does not allow
+     * @returns {RegExp} Character class (global flag not set)
+     */
+    getInvalidCharacterPattern() {
+        const profile = this.getProfile();
+        const escaped = profile.invalidCharacters
+            .replace(/[\]\\^-]/g, '\\$&')
+            .replace(/\0/g, '\\x00');
+
+        return new RegExp(`[${escaped}${profile.controlCharacters ? '\\x00-\\x1f' : ''}]`);
+    }
+
+    /**
+     * Describe the characters the profile does not allow
+     * @returns {string} Readable list, e.g. '< > : " / \ | ? * or control characters'
+     */
+    describeInvalidCharacters() {
+        const profile = this.getProfile();
+        const characters = profile.invalidCharacters
+            .split('')
+            .filter(char => char !== '\0')
+            .join(' ');
+
+        return profile.controlCharacters ? `${characters} or control characters` : characters;
+    }
+
+    /**
+     * Find every rule a name breaks on the selected profile
+     * @param {string} filename - Complete file name including extension
+     * @returns {Array<Object>} Violations as { rule, label, message }
+     */
+    check(filename) {
+        const profile = this.getProfile();
+        const violations = [];
+        const add = (rule, message) => violations.push({ rule, label: this.rules[rule], message });
+
+        if (!filename || filename.trim() === '') {
+            add('empty', 'Filename cannot be empty');
+            return violations;
+        }
+
+        if (filename === '.' || filename === '..') {
+            add('dot-name', `"${filename}" refers to a folder and cannot be used as a file name`);
+            return violations;
+        }
+
+        const length = this.measureLength(filename, profile.lengthUnit);
+        if (length > profile.maxLength) {
+            const unit = profile.lengthUnit === 'utf8' ? 'bytes in UTF-8' : 'characters';
+            add('max-length', `Filename is ${length} ${unit}; ${profile.label} allows ${profile.maxLength}`);
+        }
+
+        const invalid = [...new Set(filename.split('').filter(char => profile.invalidCharacters.includes(char)))];
+        if (invalid.length > 0) {
+            const shown = invalid.map(char => char === '\0' ? 'NUL' : char).join(' ');
+            add('invalid-characters', `Filename contains ${shown}, which ${profile.label} does not allow`);
+        }
+
+        if (profile.controlCharacters && /[\x00-\x1f]/.test(filename)) {
+            add('control-characters', `Filename contains control characters, which ${profile.label} does not allow`);
+        }
+
+        if (profile.reservedNames) {
+            // Windows reserves these names with any extension (CON.txt is as bad as CON)
+            const baseName = this.extensionParser.parse(filename).baseName.split('.')[0].trim();
+            if (this.reservedNamePattern.test(baseName)) {
+                add('reserved-name', `"${baseName}" is a reserved device name on ${profile.label}`);
+            }
+        }
+
+        if (profile.trailingSpaceOrDot && /[ .]$/.test(filename)) {
+            add('trailing-space-or-dot', `${profile.label} drops trailing spaces and dots, so the name would change on copy`);
+        }
+
+        if (filename.startsWith('.')) {
+            add('leading-dot', 'Filename cannot start with a dot (the file would be hidden)');
+        }
+
+        return violations;
+    }
+
+    /**
+     * Validate a name on the selected profile
+     * @param {string} filename - Complete file name including extension
+     * @returns {Object} Validation result with isValid, errors (each prefixed by its rule) and violations
+     */
+    validate(filename) {
+        const violations = this.check(filename);
+
+        return {
+            isValid: violations.length === 0,
+            errors: violations.map(violation => `${violation.label}: ${violation.message}`),
+            violations: violations
+        };
+    }
+
+    /**
+     * Make a name valid on the selected profile
+     * Invalid characters become underscores, reserved names get a trailing underscore,
+     * trailing spaces and dots are dropped and over-long base names are shortened.
+     * @param {string} filename - Complete file name including extension
+     * @returns {string} Sanitized file name
+     */
+    sanitize(filename) {
+        if (!filename) return '';
+
+        const profile = this.getProfile();
+        const invalidChars = new RegExp(this.getInvalidCharacterPattern().source, 'g');
+        let name = filename.replace(invalidChars, '_');
+
+        if (profile.trailingSpaceOrDot) {
+            name = name.replace(/[ .]+$/, '');
+        }
+
+        let { baseName, extension } = this.extensionParser.parse(name);
+
+        if (profile.reservedNames) {
+            const [firstPart, ...rest] = baseName.split('.');
+            if (this.reservedNamePattern.test(firstPart.trim())) {
+                baseName = [`${firstPart}_`, ...rest].join('.');
+            }
+        }
+
+        // Shorten the base name a code point at a time so the extension survives
+        const chars = [...baseName];
+        while (chars.length > 1 && this.measureLength(chars.join('') + extension, profile.lengthUnit) > profile.maxLength) {
+            chars.pop();
+        }
+
+        const sanitized = chars.join('') + extension;
+        return profile.trailingSpaceOrDot ? sanitized.replace(/[ .]+$/, '') : sanitized;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilenameRules;
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * MetadataReaders - Chooses a content metadata reader for each file by extension or MIME type
+ * Readers plug in with canRead(file) and readMetadata(blob), and return the fields listed in this.fields
+ */
+class MetadataReaders {
+    /**
+     * @param {Array<Object>} readers - Readers to use (defaults to photo, audio, video and PDF readers)
+     */
+    constructor(readers = null) {
+        this.readers = readers || [new ExifReader(), new AudioTagReader(), new Mp4Reader(), new PdfInfoReader()];
+        this.fields = {
+            taken: { label: 'Capture time', type: 'date' },
+            camera: { label: 'Camera model', type: 'text' },
+            orientation: { label: 'Orientation', type: 'text' },
+            artist: { label: 'Artist', type: 'text' },
+            album: { label: 'Album', type: 'text' },
+            title: { label: 'Title', type: 'text' },
+            track: { label: 'Track number', type: 'number' },
+            duration: { label: 'Duration (seconds)', type: 'number' },
+            author: { label: 'Author', type: 'text' }
+        };
+    }
+
+    /**
+     * Add a reader; readers added later are tried last
+     * @param {Object} reader - Object with name, canRead(file) and readMetadata(blob)
+     */
+    register(reader) {
+        if (!reader || typeof reader.canRead !== 'function' || typeof reader.readMetadata !== 'function') {
+            throw new Error('A metadata reader needs canRead(file) and readMetadata(blob)');
+        }
+        this.readers.push(reader);
+    }
+
+    /**
+     * Find the reader for a file
+     * @param {Object} file - File metadata object (extension and type)
+     * @returns {Object|null} Reader, or null if no reader understands the file
+     */
+    getReader(file) {
+        return this.readers.find(reader => reader.canRead(file)) || null;
+    }
+
+    /**
+     * Read the content metadata of a file
+     * @param {Object} file - File metadata object with a handle
+     * @returns {Promise<Object|null>} Known fields with a value, or null when the file has none
+     */
+    async read(file) {
+        const reader = this.getReader(file);
+        if (!reader) return null;
+
+        const data = await reader.readMetadata(await file.handle.getFile());
+        const metadata = {};
+        Object.entries(data || {}).forEach(([field, value]) => {
+            if (this.fields[field] && value !== null && value !== undefined && value !== '') {
+                metadata[field] = value;
+            }
+        });
+
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetadataReaders;
+}
\ No newline at end of file
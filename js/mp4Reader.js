@@ -0,0 +1,153 @@
+/**
+ * Mp4Reader - Reads creation time and duration from MP4 and QuickTime (MOV) files
+ * Walks the top-level boxes with small reads, so the moov box is found even after a large mdat
+ */
+class Mp4Reader {
+    constructor() {
+        this.name = 'mp4';
+        this.extensions = ['.mp4', '.m4v', '.m4a', '.mov', '.3gp'];
+        this.mimeTypes = ['video/mp4', 'video/quicktime', 'audio/mp4', 'audio/x-m4a', 'video/3gpp'];
+        // mvhd is normally the first box inside moov
+        this.moovBytes = 64 * 1024;
+        // Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01
+        this.epochOffset = 2082844800;
+        this.maxBoxes = 1000;
+    }
+
+    /**
+     * Check whether a file may be an MP4 or QuickTime movie
+     * @param {Object} file - File metadata object (extension and type)
+     * @returns {boolean} True for MP4, M4V, M4A, MOV and 3GP files
+     */
+    canRead(file) {
+        return this.extensions.includes((file.extension || '').toLowerCase()) || this.mimeTypes.includes(file.type);
+    }
+
+    /**
+     * Read the movie header of a file
+     * @param {Blob} blob - File contents
+     * @returns {Promise<Object|null>} { taken, duration } (missing values left out), or null
+     */
+    async readMetadata(blob) {
+        try {
+            const moov = await this.findTopLevelBox(blob, 'moov');
+            if (!moov) return null;
+
+            const view = new DataView(await blob.slice(moov.start, Math.min(moov.end, moov.start + this.moovBytes)).arrayBuffer());
+            const mvhd = this.findBox(view, 0, view.byteLength, 'mvhd');
+            return mvhd ? this.readMovieHeader(view, mvhd.start) : null;
+        } catch (error) {
+            // Truncated or damaged files read past the end of the buffer
+            return null;
+        }
+    }
+
+    /**
+     * Find a top-level box by reading only box headers
+     * @param {Blob} blob - File contents
+     * @param {string} type - Four-character box type
+     * @returns {Promise<Object|null>} { start, end } of the box contents in the file, or null
+     */
+    async findTopLevelBox(blob, type) {
+        let position = 0;
+
+        for (let i = 0; i < this.maxBoxes && position + 8 <= blob.size; i++) {
+            const header = new DataView(await blob.slice(position, position + 16).arrayBuffer());
+            let size = header.getUint32(0);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(header.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = blob.size - position;
+            }
+            if (size < headerSize) return null;
+
+            if (this.readString(header, 4, 4) === type) {
+                return { start: position + headerSize, end: Math.min(position + size, blob.size) };
+            }
+            position += size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a box among siblings in a buffer
+     * @param {DataView} view - Bytes
+     * @param {number} start - Offset of the first sibling
+     * @param {number} end - End of the parent
+     * @param {string} type - Four-character box type
+     * @returns {Object|null} { start, end } of the box contents, or null
+     */
+    findBox(view, start, end, type) {
+        let position = start;
+
+        while (position + 8 <= end) {
+            const size = view.getUint32(position);
+            if (size < 8) return null;
+
+            if (this.readString(view, position + 4, 4) === type) {
+                return { start: position + 8, end: Math.min(position + size, end) };
+            }
+            position += size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read creation time and duration from an mvhd box
+     * @param {DataView} view - Bytes
+     * @param {number} position - Offset of the mvhd contents
+     * @returns {Object|null} { taken, duration } (missing values left out), or null
+     */
+    readMovieHeader(view, position) {
+        const version = view.getUint8(position);
+        let creation;
+        let timescale;
+        let duration;
+
+        if (version === 1) {
+            creation = Number(view.getBigUint64(position + 4));
+            timescale = view.getUint32(position + 20);
+            duration = Number(view.getBigUint64(position + 24));
+        } else {
+            creation = view.getUint32(position + 4);
+            timescale = view.getUint32(position + 12);
+            duration = view.getUint32(position + 16);
+        }
+
+        const metadata = {};
+        // Many encoders write zero when they don't know the time
+        if (creation > this.epochOffset) {
+            metadata.taken = (creation - this.epochOffset) * 1000;
+        }
+        if (timescale > 0 && duration > 0) {
+            metadata.duration = duration / timescale;
+        }
+
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    }
+
+    /**
+     * Read Latin-1 text from bytes
+     * @param {DataView} view - Bytes
+     * @param {number} offset - First byte
+     * @param {number} length - Number of bytes
+     * @returns {string} Text (shorter if the bytes end first)
+     */
+    readString(view, offset, length) {
+        let text = '';
+        const end = Math.min(offset + length, view.byteLength);
+        for (let i = offset; i < end; i++) {
+            text += String.fromCharCode(view.getUint8(i));
+        }
+        return text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Mp4Reader;
+}
\ No newline at end of file
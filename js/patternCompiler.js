@@ -0,0 +1,554 @@
+/**
+ * PatternCompiler - Parses naming patterns into tokens and renders file names
+ * Supports {number}, {name}, {ext}, {date}, {mtime}, {size} and {folder} tokens, and tokens such as
+ * {taken}, {camera}, {artist} and {track} from content metadata (see MetadataReaders)
+ */
+class PatternCompiler {
+    /**
+     * @param {Object} transformer - Object with applyTransforms(text, names) and getTransformNames(),
+     *                               used for {name:lower} style modifiers (normally the FileRenamer)
+     * @param {FilenameRules} filenameRules - Target profile rules deciding which literal characters are invalid
+     */
+    constructor(transformer = null, filenameRules = null) {
+        this.transformer = transformer;
+        this.filenameRules = filenameRules;
+        this.tokenDefinitions = {
+            number: { label: 'Sequential number', unique: true, options: ['start', 'step', 'pad', 'format'] },
+            name: { label: 'Original name without extension', unique: true, transforms: true },
+            ext: { label: 'Original extension without the dot' },
+            date: { label: 'Creation date', defaultFormat: 'YYYY-MM-DD' },
+            mtime: { label: 'Last modified date', defaultFormat: 'YYYY-MM-DD' },
+            size: { label: 'File size', units: { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 } },
+            folder: { label: 'Containing folder name' },
+            taken: { label: 'Capture time (photo EXIF or video), else creation date', defaultFormat: 'YYYY-MM-DD', metadata: true },
+            camera: { label: 'Camera model (EXIF)', metadata: true },
+            orientation: { label: 'Orientation (EXIF)', metadata: true },
+            artist: { label: 'Artist (audio tags)', metadata: true },
+            album: { label: 'Album (audio tags)', metadata: true },
+            title: { label: 'Title (audio tags or PDF)', metadata: true },
+            track: { label: 'Track number, two digits (audio tags)', metadata: true },
+            author: { label: 'Author (PDF)', metadata: true },
+            duration: { label: 'Duration as M-SS or H-MM-SS (audio and video)', metadata: true }
+        };
+        // Named after the matching CSS list-style-type values
+        this.numberFormats = ['decimal', 'lower-alpha', 'upper-alpha', 'lower-roman', 'upper-roman', 'hex'];
+        // Lowest and highest number each format can write
+        this.numberRanges = {
+            'decimal': { min: 0, max: Infinity },
+            'lower-alpha': { min: 1, max: Infinity },
+            'upper-alpha': { min: 1, max: Infinity },
+            'lower-roman': { min: 1, max: 3999 },
+            'upper-roman': { min: 1, max: 3999 },
+            'hex': { min: 0, max: Infinity }
+        };
+        this.invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
+        // Patterns are compiled on every keystroke; the oldest entries are dropped beyond cacheSize
+        this.cache = new Map();
+        this.cacheSize = 100;
+    }
+
+    /**
+     * Split a pattern into literal and token segments
+     * @param {string} pattern - Naming pattern
+     * @returns {Object} Parse result with segments, errors and diagnostics
+     */
+    parse(pattern) {
+        const segments = [];
+        const diagnostics = [];
+        const report = this.createReporter(diagnostics);
+        let literal = '';
+        let literalStart = 0;
+        let position = 0;
+
+        const flushLiteral = () => {
+            if (literal) {
+                segments.push({ type: 'literal', value: literal, start: literalStart, end: position });
+            }
+            literal = '';
+        };
+
+        const appendLiteral = (char) => {
+            if (!literal) literalStart = position;
+            literal += char;
+            position++;
+        };
+
+        while (position < pattern.length) {
+            const char = pattern[position];
+
+            if (char === '}') {
+                report(`Unexpected "}" at position ${position + 1}`, position, position + 1,
+                    'Remove it, or add a matching "{" before it');
+                appendLiteral(char);
+                continue;
+            }
+
+            if (char !== '{') {
+                appendLiteral(char);
+                continue;
+            }
+
+            const closeIndex = pattern.indexOf('}', position);
+            const nextOpenIndex = pattern.indexOf('{', position + 1);
+            if (closeIndex === -1 || (nextOpenIndex !== -1 && nextOpenIndex < closeIndex)) {
+                report(`Unclosed "{" at position ${position + 1}`, position, position + 1,
+                    'Close the placeholder with "}", e.g. {number}');
+                appendLiteral(char);
+                continue;
+            }
+
+            flushLiteral();
+
+            const body = pattern.substring(position + 1, closeIndex);
+            const token = this.parseToken(body, report, position + 1);
+            segments.push({ type: 'token', ...token, raw: `{${body}}`, start: position, end: closeIndex + 1 });
+
+            position = closeIndex + 1;
+        }
+
+        flushLiteral();
+
+        return { segments, errors: diagnostics.map(diagnostic => diagnostic.message), diagnostics };
+    }
+
+    /**
+     * Create a function that records a diagnostic
+     * @param {Array} diagnostics - List to append to
+     * @returns {Function} report(message, start, end, suggestion)
+     */
+    createReporter(diagnostics) {
+        return (message, start, end, suggestion = '') => {
+            diagnostics.push({ message, start, end, suggestion });
+        };
+    }
+
+    /**
+     * Parse the inside of a {token:argument} placeholder
+     * @param {string} body - Text between the braces
+     * @param {Function} report - Diagnostic reporter from createReporter
+     * @param {number} offset - Position of body in the pattern
+     * @returns {Object} Token description
+     */
+    parseToken(body, report, offset = 0) {
+        const separatorIndex = body.indexOf(':');
+        const name = (separatorIndex === -1 ? body : body.substring(0, separatorIndex)).trim();
+        const argument = separatorIndex === -1 ? '' : body.substring(separatorIndex + 1).trim();
+        const definition = this.tokenDefinitions[name];
+        const tokenStart = offset - 1;
+        const tokenEnd = offset + body.length + 1;
+        const argumentStart = separatorIndex === -1 ? tokenEnd - 1 : offset + separatorIndex + 1;
+        // Position of a part of the argument, falling back to the whole token
+        const locate = (part) => {
+            const index = part ? body.indexOf(part, separatorIndex + 1) : -1;
+            return index === -1 ? [tokenStart, tokenEnd] : [offset + index, offset + index + part.length];
+        };
+
+        if (!definition) {
+            const closest = this.suggestName(name, Object.keys(this.tokenDefinitions));
+            report(`Unknown token {${body}}`, tokenStart, tokenEnd,
+                closest ? `Did you mean {${closest}}?` : `Use one of: ${Object.keys(this.tokenDefinitions).map(token => `{${token}}`).join(', ')}`);
+            return { name, argument, options: {} };
+        }
+
+        const options = {};
+
+        if (name === 'number' && argument) {
+            argument.split(',').forEach(pair => {
+                const [key, value] = pair.split('=').map(part => (part || '').trim());
+                if (!definition.options.includes(key)) {
+                    const closest = this.suggestName(key, definition.options);
+                    report(`Unknown option "${key}" in {${body}} (use ${definition.options.join(', ')})`, ...locate(key),
+                        closest ? `Did you mean "${closest}"?` : `Use ${definition.options.map(option => `${option}=…`).join(', ')}`);
+                } else if (key === 'format') {
+                    if (this.numberFormats.includes(value)) {
+                        options.format = value;
+                    } else {
+                        const closest = this.suggestName(value, this.numberFormats);
+                        report(`Unknown number format "${value}" in {${body}} (use ${this.numberFormats.join(', ')})`, ...locate(value),
+                            closest ? `Did you mean "${closest}"?` : '');
+                    }
+                } else if (!/^-?\d+$/.test(value)) {
+                    report(`Option "${key}" in {${body}} must be a whole number`, ...locate(pair.trim()),
+                        `e.g. ${key}=${key === 'pad' ? 3 : 1}`);
+                } else {
+                    options[key] = parseInt(value, 10);
+                }
+            });
+
+            if (options.step === 0) {
+                report(`Option "step" in {${body}} cannot be zero`, ...locate('step'), 'Use a positive step, or a negative one to count down');
+            }
+        } else if (definition.transforms && argument) {
+            const available = this.transformer ? this.transformer.getTransformNames() : [];
+            options.transforms = argument.split('|').map(part => part.trim());
+            options.transforms
+                .filter(transform => !available.includes(transform))
+                .forEach(transform => {
+                    const closest = this.suggestName(transform, available);
+                    report(`Unknown transform "${transform}" in {${body}} (use ${available.join(', ')})`, ...locate(transform),
+                        closest ? `Did you mean "${closest}"?` : '');
+                });
+        } else if (name === 'size' && argument) {
+            if (!definition.units[argument.toLowerCase()]) {
+                const closest = this.suggestName(argument.toLowerCase(), Object.keys(definition.units));
+                report(`Unknown size unit "${argument}" in {${body}} (use ${Object.keys(definition.units).join(', ')})`, ...locate(argument),
+                    closest ? `Did you mean {size:${closest}}?` : '');
+            }
+            options.unit = argument.toLowerCase();
+        } else if (definition.defaultFormat) {
+            const format = argument || definition.defaultFormat;
+            if (this.getInvalidChars().test(format)) {
+                report(`Date format in {${body}} contains characters that are not allowed in file names`, ...locate(argument),
+                    `Use "-" or "_" as separators, e.g. {${name}:YYYY-MM-DD_HHmm}`);
+            }
+            options.format = format;
+        } else if (argument) {
+            report(`Token {${name}} does not take an argument`, argumentStart - 1, tokenEnd - 1, `Write {${name}}`);
+        }
+
+        return { name, argument, options };
+    }
+
+    /**
+     * Find the closest known name for a misspelt one
+     * @param {string} input - Name as typed
+     * @param {Array<string>} candidates - Known names
+     * @returns {string|null} Closest candidate within two edits, or null
+     */
+    suggestName(input, candidates) {
+        const word = (input || '').toLowerCase();
+        if (!word) return null;
+
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        };
+
+        let best = null;
+        let bestDistance = 3;
+        candidates.forEach(candidate => {
+            const d = distance(word, candidate.toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Compile a pattern, validating it and caching the result
+     * Diagnostics carry start/end character offsets into the trimmed pattern.
+     * @param {string} pattern - Naming pattern
+     * @returns {Object} Compiled pattern with isValid, errors, diagnostics and segments
+     */
+    compile(pattern) {
+        const source = (pattern || '').trim();
+        // Invalid characters depend on the target profile, so cache per profile
+        const cacheKey = `${this.filenameRules?.profileId || ''}\n${source}`;
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const { segments, diagnostics } = this.parse(source);
+        const report = this.createReporter(diagnostics);
+        const tokens = segments.filter(segment => segment.type === 'token');
+        const literals = segments.filter(segment => segment.type === 'literal');
+
+        if (source === '') {
+            report('Pattern cannot be empty', 0, 0, 'Start with e.g. file_{number}');
+        }
+
+        const numberTokens = tokens.filter(token => token.name === 'number');
+        numberTokens.slice(1).forEach(token => {
+            report('Pattern can contain at most one {number} placeholder', token.start, token.end,
+                'Remove this {number}, or use {name} to keep part of the original name');
+        });
+
+        // Only {number} and a plain {name} differ for every file: dates, sizes and metadata repeat,
+        // and transforms can merge names ({name:lower} turns IMG and img into one)
+        const hasUniqueToken = tokens.some(token => this.tokenDefinitions[token.name]?.unique && !token.options.transforms);
+        // A misspelt token is reported on its own; the missing {number} would only repeat it
+        const hasUnknownToken = tokens.some(token => !this.tokenDefinitions[token.name]);
+        if (source !== '' && !hasUniqueToken && !hasUnknownToken) {
+            report('Pattern must contain {number} or a {name} without transforms, so every file gets its own name', source.length, source.length,
+                diagnostics.length === 0 ? `Add {number}, e.g. ${source}_{number}` : 'Add {number}');
+        }
+
+        const invalidChars = this.getInvalidChars();
+        const allowed = this.filenameRules
+            ? `${this.filenameRules.describeInvalidCharacters()} (not allowed on ${this.filenameRules.getProfile().label})`
+            : '< > : " / \\ | ? * or control characters';
+        literals.forEach(segment => {
+            [...segment.value].forEach((char, index) => {
+                if (invalidChars.test(char)) {
+                    const start = segment.start + index;
+                    report(`Pattern contains invalid characters: ${allowed}`, start, start + 1,
+                        `Replace "${char}" with "_" or "-"`);
+                }
+            });
+        });
+
+        const errors = [...new Set(diagnostics.map(diagnostic => diagnostic.message))];
+        const compiled = {
+            source,
+            segments,
+            errors,
+            diagnostics,
+            isValid: errors.length === 0,
+            hasNumber: numberTokens.length === 1,
+            hasExtension: tokens.some(token => token.name === 'ext'),
+            // Content metadata is read from the files only when a token needs it
+            usesMetadata: tokens.some(token => this.tokenDefinitions[token.name]?.metadata),
+            literalText: literals.map(segment => segment.value).join('')
+        };
+
+        if (this.cache.size >= this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, compiled);
+        return compiled;
+    }
+
+    /**
+     * Get the characters that may not appear in pattern text
+     * @returns {RegExp} Invalid character pattern of the target profile
+     */
+    getInvalidChars() {
+        return this.filenameRules ? this.filenameRules.getInvalidCharacterPattern() : this.invalidChars;
+    }
+
+    /**
+     * Render the base name (without automatic extension) for a file
+     * @param {Object} compiled - Result of compile()
+     * @param {Object} context - Render context
+     * @param {Object} context.file - File metadata object
+     * @param {string} context.baseName - File name without its extension
+     * @param {number} context.index - Sequential position (1-based)
+     * @param {number|string} context.padding - Default number padding, or 'auto'
+     * @param {Object} context.numbering - Default { start, step, descending, format, total, paddingTotal } for {number}
+     * @param {string} context.extension - File extension (with dot)
+     * @returns {string} Rendered name
+     */
+    render(compiled, context) {
+        return compiled.segments.reduce((result, segment) => {
+            if (segment.type === 'literal') {
+                return result + segment.value;
+            }
+
+            const value = this.renderToken(segment, context);
+
+            // "{name}.{ext}" on a file without an extension should not leave a trailing dot
+            if (segment.name === 'ext' && value === '' && result.endsWith('.')) {
+                return result.slice(0, -1);
+            }
+
+            return result + value;
+        }, '');
+    }
+
+    /**
+     * Render a single token
+     * @param {Object} token - Token segment
+     * @param {Object} context - Render context
+     * @returns {string} Token value
+     */
+    renderToken(token, context) {
+        const { file = {}, baseName = '', index = 1, padding = 0, extension = '' } = context;
+
+        switch (token.name) {
+            case 'number': {
+                const numbering = context.numbering || {};
+                const start = token.options.start ?? numbering.start ?? 1;
+                const step = token.options.step ?? numbering.step ?? 1;
+                const format = token.options.format ?? numbering.format ?? 'decimal';
+                const total = Math.max(numbering.total ?? index, 1);
+
+                // Counting down gives the last file the start number
+                const position = numbering.descending ? total - index : index - 1;
+                const value = start + position * step;
+
+                let pad = token.options.pad ?? padding;
+                if (pad === 'auto') {
+                    // Grouped counters pad every group to the width of the largest one
+                    pad = this.getAutoPadding(start, step, Math.max(numbering.paddingTotal ?? total, total), format);
+                }
+
+                return this.formatNumber(value, format, pad);
+            }
+            case 'name':
+                return token.options.transforms && this.transformer
+                    ? this.transformer.applyTransforms(baseName, token.options.transforms)
+                    : baseName;
+            case 'ext':
+                return extension.replace(/^\./, '');
+            case 'date':
+                return this.formatDate(file.creationTime || file.lastModified, token.options.format);
+            case 'mtime':
+                return this.formatDate(file.lastModified, token.options.format);
+            case 'size': {
+                const unit = token.options.unit || 'b';
+                return String(Math.round((file.size || 0) / this.tokenDefinitions.size.units[unit]));
+            }
+            case 'folder':
+                return file.folder || '';
+            case 'taken':
+                return this.formatDate(file.metadata?.taken || file.creationTime || file.lastModified, token.options.format);
+            case 'track':
+                return file.metadata?.track ? String(file.metadata.track).padStart(2, '0') : '';
+            case 'duration':
+                return file.metadata?.duration ? this.formatDuration(file.metadata.duration) : '';
+            case 'camera':
+            case 'orientation':
+            case 'artist':
+            case 'album':
+            case 'title':
+            case 'author':
+                // Tags such as "AC/DC" or "PENTAX K-1 / II" may contain characters a file name cannot
+                return String(file.metadata?.[token.name] || '').replace(new RegExp(this.getInvalidChars().source, 'g'), '-');
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Describe the numbers a format can write, for error messages
+     * @param {string} format - One of numberFormats
+     * @returns {string} e.g. "0 or more" or "1 to 3999"
+     */
+    describeNumberRange(format) {
+        const { min, max } = this.numberRanges[format] || this.numberRanges.decimal;
+        return max === Infinity ? `${min} or more` : `${min} to ${max}`;
+    }
+
+    /**
+     * Format a sequence number in one of the supported numbering systems
+     * @param {number} value - Number to format
+     * @param {string} format - One of numberFormats
+     * @param {number} padding - Minimum digits for decimal and hex
+     * @returns {string} Formatted number
+     * @throws {RangeError} If the format cannot write the number (see numberRanges)
+     */
+    formatNumber(value, format = 'decimal', padding = 0) {
+        const range = this.numberRanges[format] || this.numberRanges.decimal;
+        if (value < range.min || value > range.max) {
+            throw new RangeError(`${value} cannot be written as a ${format} number (${this.describeNumberRange(format)})`);
+        }
+
+        switch (format) {
+            case 'lower-alpha':
+            case 'upper-alpha': {
+                // Bijective base 26: a … z, aa, ab …
+                let remaining = value;
+                let letters = '';
+                while (remaining > 0) {
+                    remaining--;
+                    letters = String.fromCharCode(97 + (remaining % 26)) + letters;
+                    remaining = Math.floor(remaining / 26);
+                }
+                return format === 'upper-alpha' ? letters.toUpperCase() : letters;
+            }
+            case 'lower-roman':
+            case 'upper-roman': {
+                const numerals = [
+                    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+                    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+                ];
+                let remaining = value;
+                let roman = '';
+                numerals.forEach(([amount, numeral]) => {
+                    while (remaining >= amount) {
+                        roman += numeral;
+                        remaining -= amount;
+                    }
+                });
+                return format === 'lower-roman' ? roman.toLowerCase() : roman;
+            }
+            case 'hex':
+                return value.toString(16).padStart(padding, '0');
+        }
+
+        return String(value).padStart(padding, '0');
+    }
+
+    /**
+     * Work out the padding needed so every number in the batch has the same width
+     * @param {number} start - First number
+     * @param {number} step - Increment
+     * @param {number} total - Number of files being numbered
+     * @param {string} format - Number format
+     * @returns {number} Padding in digits (0 for alphabetic and roman formats)
+     */
+    getAutoPadding(start, step, total, format = 'decimal') {
+        if (format !== 'decimal' && format !== 'hex') {
+            return 0;
+        }
+
+        const last = start + (total - 1) * step;
+        const widest = Math.max(Math.abs(start), Math.abs(last));
+        return this.formatNumber(widest, format, 0).length;
+    }
+
+    /**
+     * Format a timestamp with YYYY, YY, MM, DD, HH, mm and ss placeholders
+     * @param {number} timestamp - Unix timestamp in milliseconds
+     * @param {string} format - Date format
+     * @returns {string} Formatted date
+     */
+    formatDate(timestamp, format) {
+        if (!timestamp) return '';
+
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        const parts = {
+            YYYY: String(date.getFullYear()),
+            YY: String(date.getFullYear()).slice(-2),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+
+        return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, match => parts[match]);
+    }
+
+    /**
+     * Format a duration with hyphens, since colons are not allowed in file names on Windows
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} M-SS, or H-MM-SS from one hour
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const pad = value => String(value).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}-${pad(minutes)}-${pad(total % 60)}`
+            : `${minutes}-${pad(total % 60)}`;
+    }
+
+    /**
+     * Get the list of supported tokens for help text
+     * @returns {Object} Token definitions
+     */
+    getTokenDefinitions() {
+        return this.tokenDefinitions;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternCompiler;
+}
\ No newline at end of file
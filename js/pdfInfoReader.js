@@ -0,0 +1,250 @@
+/**
+ * PdfInfoReader - Reads the title and author of PDF documents
+ * Uses the document information dictionary, falling back to uncompressed XMP metadata
+ */
+class PdfInfoReader {
+    constructor() {
+        this.name = 'pdf';
+        this.extensions = ['.pdf'];
+        this.mimeTypes = ['application/pdf'];
+        this.tailBytes = 64 * 1024;
+        this.headBytes = 256 * 1024;
+        this.objectBytes = 16 * 1024;
+    }
+
+    /**
+     * Check whether a file is a PDF document
+     * @param {Object} file - File metadata object (extension and type)
+     * @returns {boolean} True for PDF files
+     */
+    canRead(file) {
+        return this.extensions.includes((file.extension || '').toLowerCase()) || this.mimeTypes.includes(file.type);
+    }
+
+    /**
+     * Read the title and author of a PDF
+     * @param {Blob} blob - File contents
+     * @returns {Promise<Object|null>} { title, author } (missing values left out), or null
+     */
+    async readMetadata(blob) {
+        try {
+            const tailStart = Math.max(blob.size - this.tailBytes, 0);
+            const tail = await this.readText(blob, tailStart, blob.size);
+            let metadata = {};
+
+            const info = [...tail.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)].pop();
+            if (info) {
+                const object = await this.findObject(blob, tail, info[1], info[2]);
+                if (object) {
+                    metadata = this.readInfoDictionary(object);
+                }
+            }
+
+            // PDF 1.5 files may keep the information dictionary in a compressed object stream
+            if (!metadata.title || !metadata.author) {
+                const xmp = this.readXmp(await this.readText(blob, 0, this.headBytes)) || this.readXmp(tail);
+                metadata = { ...xmp, ...metadata };
+            }
+
+            return Object.keys(metadata).length > 0 ? metadata : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read part of a blob as Latin-1 text (PDF syntax is byte oriented)
+     * @param {Blob} blob - File contents
+     * @param {number} start - First byte
+     * @param {number} end - End byte
+     * @returns {Promise<string>} Text
+     */
+    async readText(blob, start, end) {
+        return new TextDecoder('iso-8859-1').decode(await blob.slice(start, end).arrayBuffer());
+    }
+
+    /**
+     * Get the text of an indirect object, through the cross-reference table when possible
+     * @param {Blob} blob - File contents
+     * @param {string} tail - Last bytes of the file as text
+     * @param {string} number - Object number
+     * @param {string} generation - Generation number
+     * @returns {Promise<string|null>} Object text up to endobj, or null
+     */
+    async findObject(blob, tail, number, generation) {
+        const header = new RegExp(`(?:^|\\s)${number}\\s+${generation}\\s+obj\\b`);
+        const cut = text => {
+            const match = header.exec(text);
+            if (!match) return null;
+            const end = text.indexOf('endobj', match.index);
+            return text.substring(match.index, end === -1 ? undefined : end);
+        };
+
+        const offset = await this.findXrefOffset(blob, tail, Number(number));
+        if (offset !== null) {
+            const object = cut(await this.readText(blob, offset, offset + this.objectBytes));
+            if (object) return object;
+        }
+
+        // Incremental updates usually append the information dictionary near the end
+        return cut(tail) || cut(await this.readText(blob, 0, this.headBytes));
+    }
+
+    /**
+     * Look up an object's position in the last classic cross-reference table
+     * @param {Blob} blob - File contents
+     * @param {string} tail - Last bytes of the file as text
+     * @param {number} number - Object number
+     * @returns {Promise<number|null>} Byte offset, or null (e.g. for cross-reference streams)
+     */
+    async findXrefOffset(blob, tail, number) {
+        const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+        if (!startxref) return null;
+
+        const position = Number(startxref[1]);
+        const xref = await this.readText(blob, position, Math.min(position + this.objectBytes * 4, blob.size));
+        if (!xref.startsWith('xref')) return null;
+
+        // Subsections: "first count" followed by count 20-byte entries "offset generation n|f"
+        const subsection = /(\d+)\s+(\d+)\s*[\r\n]+/y;
+        let index = 4;
+        while (index < xref.length) {
+            while (/\s/.test(xref[index])) index++;
+            subsection.lastIndex = index;
+            const match = subsection.exec(xref);
+            if (!match) return null;
+
+            const first = Number(match[1]);
+            const count = Number(match[2]);
+            index = subsection.lastIndex;
+            if (number >= first && number < first + count) {
+                const entry = xref.substr(index + (number - first) * 20, 20);
+                const [, offset, type] = /^(\d{10})\s\d{5}\s([nf])/.exec(entry) || [];
+                return type === 'n' ? Number(offset) : null;
+            }
+            index += count * 20;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read /Title and /Author from an information dictionary
+     * @param {string} text - Object text
+     * @returns {Object} { title, author } (missing values left out)
+     */
+    readInfoDictionary(text) {
+        const metadata = {};
+
+        [['Title', 'title'], ['Author', 'author']].forEach(([key, field]) => {
+            const match = new RegExp(`/${key}\\s*([(<])`).exec(text);
+            if (!match) return;
+
+            const value = match[1] === '('
+                ? this.readLiteralString(text, match.index + match[0].length)
+                : this.readHexString(text, match.index + match[0].length);
+            const clean = value.replace(/[\x00-\x1f]/g, ' ').trim();
+            if (clean !== '') metadata[field] = clean;
+        });
+
+        return metadata;
+    }
+
+    /**
+     * Decode a literal string (text after the opening parenthesis)
+     * @param {string} text - PDF text
+     * @param {number} position - Position after "("
+     * @returns {string} Decoded text
+     */
+    readLiteralString(text, position) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let depth = 1;
+        let bytes = '';
+
+        for (let i = position; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                const next = text[i + 1];
+                const octal = /^[0-7]{1,3}/.exec(text.substring(i + 1, i + 4));
+                if (octal) {
+                    bytes += String.fromCharCode(parseInt(octal[0], 8) & 0xFF);
+                    i += octal[0].length;
+                } else {
+                    // A backslash before a line break continues the string on the next line
+                    bytes += escapes[next] ?? (next === '\n' || next === '\r' ? '' : next);
+                    i++;
+                }
+                continue;
+            }
+            if (char === '(') depth++;
+            if (char === ')' && --depth === 0) break;
+            bytes += char;
+        }
+
+        return this.decodeTextString(bytes);
+    }
+
+    /**
+     * Decode a hex string (text after the opening angle bracket)
+     * @param {string} text - PDF text
+     * @param {number} position - Position after "<"
+     * @returns {string} Decoded text
+     */
+    readHexString(text, position) {
+        const end = text.indexOf('>', position);
+        let hex = text.substring(position, end === -1 ? undefined : end).replace(/\s/g, '');
+        if (hex.length % 2 === 1) hex += '0';
+
+        let bytes = '';
+        for (let i = 0; i < hex.length; i += 2) {
+            bytes += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+        }
+        return this.decodeTextString(bytes);
+    }
+
+    /**
+     * Decode PDF text string bytes: UTF-16BE with a byte order mark, UTF-8 with one (PDF 2.0), else Latin-1
+     * @param {string} bytes - One character per byte
+     * @returns {string} Text
+     */
+    decodeTextString(bytes) {
+        const array = Uint8Array.from(bytes, char => char.charCodeAt(0));
+        if (array[0] === 0xFE && array[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(array.subarray(2));
+        }
+        if (array[0] === 0xEF && array[1] === 0xBB && array[2] === 0xBF) {
+            return new TextDecoder('utf-8').decode(array.subarray(3));
+        }
+        return bytes;
+    }
+
+    /**
+     * Read dc:title and dc:creator from an XMP packet
+     * @param {string} text - Latin-1 text that may contain an XMP packet
+     * @returns {Object|null} { title, author } (missing values left out), or null
+     */
+    readXmp(text) {
+        const start = text.indexOf('<x:xmpmeta');
+        if (start === -1) return null;
+
+        const end = text.indexOf('</x:xmpmeta>', start);
+        // XMP is UTF-8
+        const bytes = Uint8Array.from(text.substring(start, end === -1 ? undefined : end), char => char.charCodeAt(0));
+        const xmp = new TextDecoder('utf-8').decode(bytes);
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        const first = element => {
+            const match = new RegExp(`<dc:${element}[^>]*>[\\s\\S]*?<rdf:li[^>]*>([\\s\\S]*?)</rdf:li>`).exec(xmp);
+            return match ? match[1].replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => entities[name]).trim() : '';
+        };
+
+        const metadata = {};
+        if (first('title')) metadata.title = first('title');
+        if (first('creator')) metadata.author = first('creator');
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfInfoReader;
+}
\ No newline at end of file
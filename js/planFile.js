@@ -0,0 +1,276 @@
+/**
+ * PlanFile - Reads and writes rename plans as CSV or JSON
+ * Exports the preview for sign-off and imports original → new mappings from spreadsheets
+ */
+class PlanFile {
+    constructor() {
+        this.columns = ['original', 'new', 'size', 'date', 'collision'];
+        this.originalHeaders = ['original', 'originalname', 'original name', 'old', 'from', 'source', 'path'];
+        this.newHeaders = ['new', 'newname', 'new name', 'to', 'target'];
+        // Spreadsheets run cells starting with these as formulas; such cells are exported behind a quote mark
+        this.formulaPattern = /^'*[=+\-@\t\r]/;
+    }
+
+    /**
+     * Turn preview items into plain export rows
+     * @param {Array} previewData - Preview data from FileRenamer.generatePreview
+     * @returns {Array<Object>} Rows with original, new, size, date and collision
+     */
+    toRows(previewData) {
+        return previewData.map(item => ({
+            original: item.path || item.originalName,
+            new: item.newName,
+            size: item.size,
+            date: item.creationTime ? new Date(item.creationTime).toISOString() : '',
+            collision: Boolean(item.collisionResolved || item.skipped)
+        }));
+    }
+
+    /**
+     * Export preview data as CSV (RFC 4180, with header row)
+     * @param {Array} previewData - Preview data
+     * @returns {string} CSV text
+     */
+    toCSV(previewData) {
+        const lines = [this.columns.join(',')];
+
+        this.toRows(previewData).forEach(row => {
+            lines.push(this.columns.map(column => this.escapeCSV(row[column])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export preview data as JSON
+     * @param {Array} previewData - Preview data
+     * @param {Object} meta - Extra top-level fields, e.g. { folder }
+     * @returns {string} Pretty-printed JSON text
+     */
+    toJSON(previewData, meta = {}) {
+        return JSON.stringify({
+            ...meta,
+            exportedAt: new Date().toISOString(),
+            items: this.toRows(previewData)
+        }, null, 2);
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * A name such as =HYPERLINK(…) gets a leading ' so it is shown as text, not run as a formula;
+     * readCSVMapping removes the mark again.
+     * @param {*} value - Field value
+     * @returns {string} Escaped field
+     */
+    escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        const formula = this.formulaPattern.test(text);
+        if (formula) {
+            text = `'${text}`;
+        }
+        return formula || /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Remove the quote mark escapeCSV puts in front of formula-like cells
+     * @param {string} cell - Cell text
+     * @returns {string} Original text
+     */
+    unescapeFormula(cell) {
+        return typeof cell === 'string' && cell.startsWith("'") && this.formulaPattern.test(cell) ? cell.substring(1) : cell;
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * Supports quoted fields with embedded separators, quotes and line breaks.
+     * @param {string} text - CSV text
+     * @param {string} separator - Field separator
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCSV(text, separator = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read an original → new mapping from CSV or JSON
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to tell CSV from JSON
+     * @returns {Object} { pairs: [{ original, newName, line }], errors }
+     */
+    parseMapping(text, fileName = '') {
+        const source = (text || '').replace(/^\uFEFF/, '');
+        const isJSON = /\.json$/i.test(fileName) || /^\s*[[{]/.test(source);
+        const { pairs, errors } = isJSON ? this.readJSONMapping(source) : this.readCSVMapping(source);
+
+        // Every original may only be mapped once
+        const seen = new Map();
+        pairs.forEach(pair => {
+            if (seen.has(pair.original)) {
+                errors.push(`Line ${pair.line}: "${pair.original}" is already mapped on line ${seen.get(pair.original)}`);
+            } else {
+                seen.set(pair.original, pair.line);
+            }
+        });
+
+        if (pairs.length === 0 && errors.length === 0) {
+            errors.push('The mapping file does not contain any original,new pairs');
+        }
+
+        return { pairs, errors };
+    }
+
+    /**
+     * Read mapping pairs from CSV text
+     * @param {string} text - CSV text
+     * @returns {Object} { pairs, errors }
+     */
+    readCSVMapping(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        // Spreadsheets in many locales save with semicolons
+        const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+        const rows = this.parseCSV(text, separator);
+        const pairs = [];
+        const errors = [];
+        let originalColumn = 0;
+        let newColumn = 1;
+        let firstRow = 0;
+
+        const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+        if (header.some(cell => this.originalHeaders.includes(cell))) {
+            originalColumn = header.findIndex(cell => this.originalHeaders.includes(cell));
+            newColumn = header.findIndex(cell => this.newHeaders.includes(cell));
+            firstRow = 1;
+            if (newColumn === -1) {
+                errors.push(`Header row has no "new" column (expected one of: ${this.newHeaders.join(', ')})`);
+                return { pairs, errors };
+            }
+        }
+
+        rows.slice(firstRow).forEach((row, index) => {
+            // Blank lines are skipped but still counted, so line numbers match the file
+            if (row.every(cell => cell.trim() === '')) return;
+            this.addPair(pairs, errors, this.unescapeFormula(row[originalColumn]), this.unescapeFormula(row[newColumn]), index + firstRow + 1);
+        });
+
+        return { pairs, errors };
+    }
+
+    /**
+     * Read mapping pairs from JSON text
+     * Accepts an exported plan ({ items: [...] }), an array of objects or [original, new] arrays,
+     * or a plain { "original": "new" } object.
+     * @param {string} text - JSON text
+     * @returns {Object} { pairs, errors }
+     */
+    readJSONMapping(text) {
+        const pairs = [];
+        const errors = [];
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            errors.push(`The mapping file is not valid JSON: ${error.message}`);
+            return { pairs, errors };
+        }
+
+        const list = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : null;
+
+        if (!list && data && typeof data === 'object') {
+            Object.entries(data).forEach(([original, newName], index) => {
+                this.addPair(pairs, errors, original, newName, index + 1);
+            });
+            return { pairs, errors };
+        }
+
+        if (!list) {
+            errors.push('The mapping file must contain a list of original/new pairs');
+            return { pairs, errors };
+        }
+
+        list.forEach((entry, index) => {
+            if (Array.isArray(entry)) {
+                this.addPair(pairs, errors, entry[0], entry[1], index + 1);
+            } else if (entry && typeof entry === 'object') {
+                this.addPair(
+                    pairs,
+                    errors,
+                    entry.original ?? entry.originalName,
+                    entry.new ?? entry.newName,
+                    index + 1
+                );
+            } else {
+                errors.push(`Entry ${index + 1}: expected an object or an [original, new] pair`);
+            }
+        });
+
+        return { pairs, errors };
+    }
+
+    /**
+     * Validate and collect one mapping pair
+     * @param {Array} pairs - Collected pairs
+     * @param {Array} errors - Collected errors
+     * @param {*} original - Original name or relative path
+     * @param {*} newName - New name
+     * @param {number} line - Line or entry number for error messages
+     */
+    addPair(pairs, errors, original, newName, line) {
+        const from = typeof original === 'string' ? original.trim() : '';
+        const to = typeof newName === 'string' ? newName.trim() : '';
+
+        if (from === '') {
+            errors.push(`Line ${line}: the original name is empty`);
+            return;
+        }
+        if (to === '') {
+            errors.push(`Line ${line}: the new name for "${from}" is empty`);
+            return;
+        }
+
+        pairs.push({ original: from, newName: to, line });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanFile;
+}
\ No newline at end of file
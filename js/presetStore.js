@@ -0,0 +1,238 @@
+/**
+ * PresetStore - Saves named Step 2 configurations in localStorage
+ * Presets can be exported and imported as JSON and shared as a link with the configuration in the URL hash
+ */
+class PresetStore {
+    constructor(storageKey = 'file-renamer-presets', storage = null) {
+        this.storageKey = storageKey;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.hashPrefix = '#preset=';
+        this.fileType = 'file-renamer-presets';
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} True if presets can be saved, false otherwise
+     */
+    isSupported() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Get all saved presets
+     * @returns {Array<Object>} Presets as { name, config, savedAt }, sorted by name
+     */
+    list() {
+        if (!this.isSupported()) return [];
+
+        try {
+            const presets = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(presets)
+                ? presets.filter(preset => this.isPreset(preset)).sort((a, b) => a.name.localeCompare(b.name))
+                : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable presets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a saved preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset or null if not found
+     */
+    get(name) {
+        return this.list().find(preset => preset.name === name) || null;
+    }
+
+    /**
+     * Save a preset, replacing one with the same name
+     * @param {string} name - Preset name
+     * @param {Object} config - Configuration (UIManager.state.config)
+     * @returns {Object} Saved preset
+     */
+    save(name, config) {
+        const trimmed = (name || '').trim();
+        if (trimmed === '') {
+            throw new Error('Preset name cannot be empty');
+        }
+        if (!this.isSupported()) {
+            throw new Error('Presets cannot be saved because local storage is not available');
+        }
+
+        const preset = {
+            name: trimmed,
+            // Deep copy so later edits (such as the rule list) don't change the saved preset
+            config: JSON.parse(JSON.stringify(config)),
+            savedAt: Date.now()
+        };
+        const presets = this.list().filter(existing => existing.name !== trimmed);
+        presets.push(preset);
+        this.write(presets);
+
+        return preset;
+    }
+
+    /**
+     * Delete a saved preset
+     * @param {string} name - Preset name
+     * @returns {boolean} True if a preset was deleted
+     */
+    remove(name) {
+        const presets = this.list();
+        const remaining = presets.filter(preset => preset.name !== name);
+        this.write(remaining);
+        return remaining.length !== presets.length;
+    }
+
+    /**
+     * Write the preset list to storage
+     * @param {Array<Object>} presets - Presets to store
+     */
+    write(presets) {
+        if (!this.isSupported()) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(presets));
+        } catch (error) {
+            throw new Error(`Failed to save presets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that a value looks like a preset
+     * @param {*} value - Value to check
+     * @returns {boolean} True if it has a name and a config object
+     */
+    isPreset(value) {
+        return Boolean(value) && typeof value.name === 'string' && value.name.trim() !== '' &&
+            Boolean(value.config) && typeof value.config === 'object' && !Array.isArray(value.config);
+    }
+
+    /**
+     * Export presets as JSON
+     * @param {Array<Object>} presets - Presets to export (defaults to all saved presets)
+     * @returns {string} Pretty-printed JSON text
+     */
+    toJSON(presets = this.list()) {
+        return JSON.stringify({
+            type: this.fileType,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            presets: presets.map(({ name, config }) => ({ name, config }))
+        }, null, 2);
+    }
+
+    /**
+     * Read presets from exported JSON
+     * Accepts an export file, a list of presets or a single { name, config } preset.
+     * @param {string} text - JSON text
+     * @returns {Object} { presets, errors }
+     */
+    parseJSON(text) {
+        const errors = [];
+        let data;
+
+        try {
+            data = JSON.parse((text || '').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return { presets: [], errors: [`The preset file is not valid JSON: ${error.message}`] };
+        }
+
+        const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+        const presets = [];
+
+        list.forEach((entry, index) => {
+            if (this.isPreset(entry)) {
+                presets.push({ name: entry.name.trim(), config: entry.config });
+            } else {
+                errors.push(`Preset ${index + 1}: expected an object with a name and a config`);
+            }
+        });
+
+        if (presets.length === 0 && errors.length === 0) {
+            errors.push('The preset file does not contain any presets');
+        }
+
+        return { presets, errors };
+    }
+
+    /**
+     * Encode a preset into a URL hash
+     * @param {string} name - Preset name (may be empty)
+     * @param {Object} config - Configuration
+     * @returns {string} Hash starting with #preset=
+     */
+    toHash(name, config) {
+        const bytes = new TextEncoder().encode(JSON.stringify({ name: name || '', config }));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+
+        // base64url, so the hash survives chat apps and e-mail clients unescaped
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return this.hashPrefix + encoded;
+    }
+
+    /**
+     * Decode a preset from a URL hash
+     * @param {string} hash - location.hash
+     * @returns {Object|null} { preset, error }, or null if the hash holds no preset
+     */
+    fromHash(hash) {
+        if (!hash || !hash.startsWith(this.hashPrefix)) return null;
+
+        try {
+            const encoded = hash.substring(this.hashPrefix.length).replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(encoded);
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            const data = JSON.parse(new TextDecoder().decode(bytes));
+
+            if (!data || !data.config || typeof data.config !== 'object' || Array.isArray(data.config)) {
+                return { preset: null, error: 'The link does not contain a valid configuration' };
+            }
+
+            return { preset: { name: typeof data.name === 'string' ? data.name : '', config: data.config }, error: null };
+        } catch (error) {
+            return { preset: null, error: 'The preset in the link is damaged or incomplete' };
+        }
+    }
+
+    /**
+     * Keep only the settings the current version knows, with matching types
+     * @param {Object} config - Configuration from a preset
+     * @param {Object} reference - Current configuration, used for the known keys and their types
+     * @returns {Object} { config, ignored } where ignored lists the dropped keys
+     */
+    normalizeConfig(config, reference) {
+        const normalized = {};
+        const ignored = [];
+        const typeOf = value => Array.isArray(value) ? 'array' : typeof value;
+
+        Object.entries(config || {}).forEach(([key, value]) => {
+            if (!Object.prototype.hasOwnProperty.call(reference, key)) {
+                ignored.push(key);
+                return;
+            }
+
+            // Padding is a number of digits or 'auto'
+            const matches = key === 'padding'
+                ? value === 'auto' || Number.isInteger(value)
+                : typeOf(value) === typeOf(reference[key]);
+
+            if (matches) {
+                normalized[key] = value;
+            } else {
+                ignored.push(key);
+            }
+        });
+
+        return { config: normalized, ignored };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetStore;
+}
\ No newline at end of file
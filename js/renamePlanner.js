@@ -0,0 +1,184 @@
+/**
+ * RenamePlanner - Orders a batch of renames so targets are always free
+ * Detects rename chains and cycles and routes cycles through temporary names
+ */
+class RenamePlanner {
+    constructor() {
+        // Names differing only in case are taken to be the same file unless the folder
+        // is known to tell them apart (see detectCaseSensitivity)
+        this.caseSensitive = false;
+        this.tempPrefix = '~rename-';
+    }
+
+    /**
+     * Build an ordered list of move steps for a batch
+     * @param {Array} items - Preview items with originalName, newName and file
+     * @param {Set} reservedNames - Location keys (see keyOf) already present in the directory
+     * @returns {Object} Plan with steps, chained and cycle counts
+     */
+    plan(items, reservedNames = new Set()) {
+        const steps = [];
+        const holders = new Map(); // current name -> item holding it
+        const waiting = new Map(); // target name -> pending item
+        const currentNames = new Map(); // item -> current name
+        const pending = new Set();
+        const queue = [];
+        const usedTempNames = new Set();
+        const stamp = Date.now().toString(36);
+        let chained = 0;
+        let cycles = 0;
+
+        const key = (item, name) => this.keyOf(item.file, name);
+
+        items.forEach(item => {
+            holders.set(key(item, item.originalName), item);
+            currentNames.set(item, item.originalName);
+        });
+
+        items.forEach(item => {
+            if (item.newName === item.originalName) return;
+
+            // a.JPG → a.jpg: the name is the same file on a case-insensitive file system,
+            // so the change goes through a temporary name
+            if (key(item, item.newName) === key(item, item.originalName)) {
+                const tempName = this.createTempName(item, stamp, reservedNames, holders, usedTempNames);
+                cycles++;
+                steps.push({ item, from: item.originalName, to: tempName, temporary: true });
+                steps.push({ item, from: tempName, to: item.newName, temporary: false });
+                return;
+            }
+
+            pending.add(item);
+            waiting.set(key(item, item.newName), item);
+
+            if (holders.has(key(item, item.newName))) {
+                chained++;
+            } else {
+                queue.push(item);
+            }
+        });
+
+        const moveItem = (item, targetName, temporary) => {
+            const fromName = currentNames.get(item);
+
+            steps.push({ item, from: fromName, to: targetName, temporary });
+            holders.delete(key(item, fromName));
+            holders.set(key(item, targetName), item);
+            currentNames.set(item, targetName);
+
+            // Whoever was waiting for the freed name can now move
+            const next = waiting.get(key(item, fromName));
+            if (next && pending.has(next) && next !== item) {
+                queue.push(next);
+            }
+        };
+
+        while (pending.size > 0) {
+            while (queue.length > 0) {
+                const item = queue.shift();
+                if (!pending.has(item) || holders.has(key(item, item.newName))) continue;
+
+                pending.delete(item);
+                moveItem(item, item.newName, false);
+            }
+
+            if (pending.size === 0) break;
+
+            // Everything left is blocked by a cycle: park one member under a temporary name.
+            // A target held by a file that is already done means two files share a new name
+            const blocked = [...pending];
+            const stuck = blocked.find(item => !pending.has(holders.get(key(item, item.newName))));
+            if (stuck) {
+                throw new Error(`"${stuck.newName}" is the new name of more than one file`);
+            }
+            const parked = blocked.find(item => waiting.has(key(item, currentNames.get(item)))) || blocked[0];
+            const tempName = this.createTempName(parked, stamp, reservedNames, holders, usedTempNames);
+
+            cycles++;
+            moveItem(parked, tempName, true);
+            queue.push(parked);
+        }
+
+        return {
+            steps: steps,
+            chained: chained,
+            cycles: cycles
+        };
+    }
+
+    /**
+     * Create a temporary name that is not used by the directory or the batch
+     * @param {Object} item - Preview item being parked
+     * @param {string} stamp - Batch-unique stamp
+     * @param {Set} reservedNames - Location keys already present in the directory
+     * @param {Map} holders - Location keys currently held by batch items
+     * @param {Set} usedTempNames - Temporary names handed out so far
+     * @returns {string} Temporary file name
+     */
+    createTempName(item, stamp, reservedNames, holders, usedTempNames) {
+        const extension = item.extension || '';
+        const isTaken = name => {
+            const tempKey = this.keyOf(item.file, name);
+            return reservedNames.has(tempKey) || holders.has(tempKey) || usedTempNames.has(name);
+        };
+        let counter = usedTempNames.size + 1;
+        let tempName;
+
+        do {
+            tempName = `${this.tempPrefix}${stamp}-${counter}${extension}`;
+            counter++;
+        } while (isTaken(tempName));
+
+        usedTempNames.add(tempName);
+        return tempName;
+    }
+
+    /**
+     * Key a file name by the folder it lives in, so equal names in different subfolders don't clash
+     * Keys ignore case unless the folder is known to be case-sensitive.
+     * @param {Object} file - File metadata object (uses folderPath)
+     * @param {string} name - File name (defaults to the file's own name)
+     * @returns {string} Location key
+     */
+    keyOf(file, name = file?.name) {
+        const key = `${file?.folderPath || ''}/${name}`;
+        return this.caseSensitive ? key : key.toLowerCase();
+    }
+
+    /**
+     * Find out from a scan whether the folder on disk tells names apart by case
+     * Only a folder holding two names that differ just in case (photo.JPG, photo.jpg)
+     * proves it; otherwise names are compared without case, which is safe either way.
+     * @param {Array} files - Files read from the folder
+     * @returns {boolean} Whether keys now keep case
+     */
+    detectCaseSensitivity(files) {
+        const namesByKey = new Map();
+
+        this.caseSensitive = files.some(file => {
+            const name = `${file.folderPath || ''}/${file.name}`;
+            const key = name.toLowerCase();
+            if (namesByKey.has(key) && namesByKey.get(key) !== name) {
+                return true;
+            }
+            namesByKey.set(key, name);
+            return false;
+        });
+
+        return this.caseSensitive;
+    }
+
+    /**
+     * Check whether a name is one of the planner's temporary names
+     * @param {string} fileName - File name to check
+     * @returns {boolean} True if the name was produced by createTempName
+     */
+    isTempName(fileName) {
+        return typeof fileName === 'string' && fileName.startsWith(this.tempPrefix);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenamePlanner;
+}
\ No newline at end of file
@@ -3,61 +3,76 @@
  * Provides comprehensive naming pattern system with collision detection
  */
 class FileRenamer {
-    constructor(fileSystemManager) {
+    constructor(fileSystemManager, extensionParser = null, filenameRules = null) {
         this.fileSystemManager = fileSystemManager;
+        this.extensionParser = extensionParser || new ExtensionParser();
+        this.filenameRules = filenameRules || new FilenameRules('windows', this.extensionParser);
+        this.patternCompiler = new PatternCompiler(this, this.filenameRules);
+        this.rulePipeline = new RulePipeline(this, this.patternCompiler, this.extensionParser);
+        this.renamePlanner = new RenamePlanner();
         this.operationLog = [];
         this.collisionResolutions = [];
     }
 
     /**
      * Validate naming pattern
+     * This is the only pattern validator; the UI shows its diagnostics next to the input.
      * @param {string} pattern - Naming pattern to validate
-     * @returns {Object} Validation result with isValid and errors
+     * @returns {Object} Validation result with isValid, errors and diagnostics
+     *                   ({ message, start, end, suggestion } with offsets into the untrimmed pattern)
      */
     validatePattern(pattern) {
-        const errors = [];
-
-        if (!pattern || pattern.trim() === '') {
-            errors.push('Pattern cannot be empty');
-            return { isValid: false, errors };
-        }
-
-        const trimmedPattern = pattern.trim();
-
-        // Check for exactly one {number} placeholder
-        const numberPlaceholders = (trimmedPattern.match(/{number}/g) || []).length;
-        if (numberPlaceholders === 0) {
-            errors.push('Pattern must contain exactly one {number} placeholder');
-        } else if (numberPlaceholders > 1) {
-            errors.push('Pattern must contain exactly one {number} placeholder');
+        const text = pattern || '';
+        if (text.trim() === '') {
+            return {
+                isValid: false,
+                errors: ['Pattern cannot be empty'],
+                diagnostics: [{ message: 'Pattern cannot be empty', start: 0, end: text.length, suggestion: 'Start with e.g. file_{number}' }]
+            };
         }
 
-        // Check for invalid characters
-        const invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
-        if (invalidChars.test(trimmedPattern)) {
-            errors.push('Pattern contains invalid characters: < > : " / \\ | ? * or control characters');
-        }
+        const trimmedPattern = text.trim();
+        const offset = text.length - text.trimStart().length;
+        const compiled = this.patternCompiler.compile(trimmedPattern);
+        const diagnostics = [...compiled.diagnostics];
+        const report = this.patternCompiler.createReporter(diagnostics);
 
         // Check length
         if (trimmedPattern.length > 200) {
-            errors.push('Pattern is too long (maximum 200 characters)');
+            report('Pattern is too long (maximum 200 characters)', 200, trimmedPattern.length,
+                `Remove ${trimmedPattern.length - 200} characters`);
         }
 
-        // Check for reserved names (Windows)
-        const reservedNames = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
-        const patternWithoutNumber = trimmedPattern.replace('{number}', '').trim();
-        if (reservedNames.test(patternWithoutNumber)) {
-            errors.push('Pattern cannot use reserved Windows names');
+        // Check for reserved device names (Windows, FAT32 and exFAT targets)
+        const profile = this.filenameRules.getProfile();
+        if (profile.reservedNames && this.filenameRules.reservedNamePattern.test(compiled.literalText.trim())) {
+            const literal = compiled.segments.find(segment => segment.type === 'literal' && segment.value.trim() !== '');
+            report(`Pattern cannot use reserved device names on ${profile.label}`,
+                literal ? literal.start : 0, literal ? literal.end : trimmedPattern.length,
+                `Add a prefix or suffix, e.g. ${compiled.literalText.trim()}_file`);
         }
 
         // Check if pattern would result in valid filename structure
-        if (trimmedPattern.startsWith('.') || trimmedPattern.endsWith('.')) {
-            errors.push('Pattern cannot start or end with a dot');
+        if (trimmedPattern.startsWith('.')) {
+            report('Pattern cannot start with a dot', 0, 1, 'Remove the leading dot');
+        }
+        if (profile.trailingSpaceOrDot && trimmedPattern.endsWith('.')) {
+            report(`Pattern cannot end with a dot on ${profile.label}`, trimmedPattern.length - 1, trimmedPattern.length,
+                'Remove the trailing dot');
         }
 
+        // Diagnostics point into the pattern as typed, leading spaces included
+        const shifted = diagnostics.map(diagnostic => ({
+            ...diagnostic,
+            start: diagnostic.start + offset,
+            end: diagnostic.end + offset
+        }));
+        const errors = [...new Set(shifted.map(diagnostic => diagnostic.message))];
+
         return {
             isValid: errors.length === 0,
-            errors: errors
+            errors: errors,
+            diagnostics: shifted
         };
     }
 
@@ -67,17 +82,24 @@ class FileRenamer {
      * @param {number} index - Sequential number
      * @param {number} padding - Number of digits for padding
      * @param {string} extension - File extension (with dot)
+     * @param {Object} file - File metadata object used by {name}, {date} and similar tokens
+     * @param {Object} numbering - Start, step, descending, format and total for {number}
      * @returns {string} Generated filename
      */
-    generateNewName(pattern, index, padding, extension) {
-        // Pad the number with leading zeros
-        const paddedNumber = String(index).padStart(padding, '0');
-
-        // Replace {number} placeholder with padded number
-        let newName = pattern.replace('{number}', paddedNumber);
-
-        // Add extension if it exists
-        if (extension && extension.trim() !== '') {
+    generateNewName(pattern, index, padding, extension, file = null, numbering = null) {
+        const compiled = this.patternCompiler.compile(pattern);
+
+        let newName = this.patternCompiler.render(compiled, {
+            file: file || {},
+            baseName: this.extensionParser.parse(file?.name).baseName,
+            index: index,
+            padding: padding,
+            numbering: numbering || {},
+            extension: extension || ''
+        });
+
+        // Add extension if it exists and the pattern doesn't place it with {ext}
+        if (!compiled.hasExtension && extension && extension.trim() !== '') {
             newName += extension;
         }
 
@@ -88,26 +110,36 @@ class FileRenamer {
      * Check for name collisions and resolve them
      * @param {string} newName - Proposed new name
      * @param {Array} existingFiles - Array of existing file objects
-     * @param {number} startIndex - Starting index for collision resolution
+     * @param {Set} vacatedNames - Location keys the batch moves away from, which cannot collide
+     * @param {Object} file - File being renamed, or its location after a move; only its folder is checked.
+     *                        A parentHandle of null stands for a folder that does not exist yet
      * @returns {Promise<Object>} Collision resolution result
      */
-    async checkForCollisions(newName, existingFiles, startIndex = 1) {
+    async checkForCollisions(newName, existingFiles, vacatedNames = new Set(), file = null) {
         const collisions = [];
+        const folderPath = file?.folderPath || '';
 
-        // Check against existing files
-        for (const file of existingFiles) {
-            if (file.name === newName) {
+        // A name held by a file in the same batch is freed by the rename planner
+        if (vacatedNames.has(this.renamePlanner.keyOf(file, newName))) {
+            return { hasCollisions: false, collisions: collisions, resolution: null };
+        }
+
+        // Check against existing files in the same folder
+        const newKey = this.renamePlanner.keyOf({ folderPath }, newName);
+        for (const existing of existingFiles) {
+            if (this.renamePlanner.keyOf(existing) === newKey) {
                 collisions.push({
                     type: 'existing',
                     fileName: newName,
-                    existingFile: file
+                    existingFile: existing
                 });
             }
         }
 
         // Check against files in the directory (using FileSystemManager)
         try {
-            const fileExists = await this.fileSystemManager.fileExists(newName);
+            const fileExists = file?.parentHandle !== null &&
+                await this.fileSystemManager.fileExists(newName, file?.parentHandle);
             if (fileExists) {
                 collisions.push({
                     type: 'directory',
@@ -130,24 +162,54 @@ class FileRenamer {
         };
     }
 
+    /**
+     * Get the handle of a folder files are moved to
+     * @param {string} folderPath - Path relative to the selected folder
+     * @returns {Promise<FileSystemDirectoryHandle|null>} Directory handle, or null if the folder does not exist yet
+     */
+    async findFolderHandle(folderPath) {
+        try {
+            return await this.fileSystemManager.getFolderHandle(folderPath);
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
     /**
      * Resolve name collision by finding next available number
-     * @param {string} pattern - Naming pattern
+     * @param {Function} generate - Returns the file's name for a given sequential index
      * @param {number} currentIndex - Current index that caused collision
-     * @param {number} padding - Number padding
-     * @param {string} extension - File extension
      * @param {Array} existingFiles - Existing files to check against
      * @param {number} maxAttempts - Maximum attempts to find available name
+     * @param {Set} vacatedNames - Location keys the batch moves away from
+     * @param {Object} file - File being renamed
      * @returns {Promise<Object>} Resolution result
      */
-    async resolveCollision(pattern, currentIndex, padding, extension, existingFiles, maxAttempts = 1000) {
+    async resolveCollision(generate, currentIndex, existingFiles, maxAttempts = 1000, vacatedNames = new Set(), file = null) {
         let attempts = 0;
 
         while (attempts < maxAttempts) {
             const newIndex = currentIndex + attempts + 1;
-            const newName = this.generateNewName(pattern, newIndex, padding, extension);
+            let newName;
+            try {
+                newName = generate(newIndex);
+            } catch (error) {
+                // Bumping ran past the numbers the format can write
+                if (!(error instanceof RangeError)) throw error;
+                return {
+                    resolved: false,
+                    newName: null,
+                    newIndex: null,
+                    attempts: attempts,
+                    originalIndex: currentIndex,
+                    error: error.message
+                };
+            }
 
-            const collisionCheck = await this.checkForCollisions(newName, existingFiles);
+            const collisionCheck = await this.checkForCollisions(newName, existingFiles, vacatedNames, file);
 
             if (!collisionCheck.hasCollisions) {
                 return {
@@ -172,109 +234,558 @@ class FileRenamer {
         };
     }
 
+    /**
+     * Find a free name by adding " (2)", " (3)"... before the extension
+     * @param {string} newName - Name that is taken
+     * @param {Array} existingFiles - Existing files to check against
+     * @param {Set} vacatedNames - Location keys the batch moves away from
+     * @param {Object} file - File being renamed
+     * @param {Set} usedNames - Location keys already given to other files of the batch
+     * @param {number} maxAttempts - Maximum attempts to find available name
+     * @returns {Promise<Object>} Resolution result
+     */
+    async resolveSuffix(newName, existingFiles, vacatedNames = new Set(), file = null, usedNames = new Set(), maxAttempts = 1000) {
+        const { baseName, extension } = this.extensionParser.parse(newName);
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const candidate = `${baseName} (${attempt + 1})${extension}`;
+            if (usedNames.has(this.renamePlanner.keyOf(file, candidate))) continue;
+
+            const collisionCheck = await this.checkForCollisions(candidate, existingFiles, vacatedNames, file);
+            if (!collisionCheck.hasCollisions) {
+                return { resolved: true, newName: candidate, attempts: attempt };
+            }
+        }
+
+        return {
+            resolved: false,
+            newName: null,
+            attempts: maxAttempts,
+            error: `Could not find a free suffix after ${maxAttempts} attempts`
+        };
+    }
+
+    /**
+     * Apply the selected collision strategy to a name that is already taken
+     * @param {string} strategy - 'bump' (next free number), 'suffix' (add " (2)"), 'skip' (keep the old name) or 'abort'
+     * @param {Object} context - Collision details
+     * @param {Object} context.file - File being renamed
+     * @param {string} context.newName - Name that is taken
+     * @param {number} context.currentIndex - Sequential index the name was generated with
+     * @param {Array} context.existingFiles - Existing files to check against
+     * @param {Set} context.vacatedNames - Location keys the batch moves away from
+     * @param {Set} context.usedNames - Location keys already given to other files of the batch
+     * @param {Function} context.generate - Returns the file's name for a given sequential index
+     * @param {boolean} context.canRenumber - Whether the name changes with the index
+     * @param {string} context.collisionHint - Advice shown when bumping is impossible
+     * @returns {Promise<Object>} Resolution with resolved, newName, newIndex (bump only), skipped and error
+     */
+    async applyCollisionStrategy(strategy, context) {
+        const { file, newName, existingFiles, vacatedNames, usedNames } = context;
+
+        switch (strategy) {
+            case 'abort':
+                return {
+                    resolved: false,
+                    error: `"${newName}" for "${file.name}" already exists. The collision strategy is set to abort the batch`
+                };
+            case 'skip':
+                return { resolved: true, newName: file.name, skipped: true, attempts: 0 };
+            case 'suffix': {
+                const resolution = await this.resolveSuffix(newName, existingFiles, vacatedNames, file, usedNames);
+                return resolution.resolved
+                    ? resolution
+                    : { ...resolution, error: `Could not resolve naming collision for "${file.name}": ${resolution.error}` };
+            }
+            default: {
+                if (!context.canRenumber) {
+                    return {
+                        resolved: false,
+                        error: `"${newName}" for "${file.name}" already exists${context.collisionHint}, or choose the suffix or skip collision strategy`
+                    };
+                }
+
+                const resolution = await this.resolveCollision(
+                    context.generate,
+                    context.currentIndex,
+                    existingFiles,
+                    1000,
+                    vacatedNames,
+                    file
+                );
+                return resolution.resolved
+                    ? resolution
+                    : { ...resolution, error: `Could not resolve naming collision for "${file.name}": ${resolution.error}` };
+            }
+        }
+    }
+
+    /**
+     * Validate numbering options
+     * Every number from the start to the last one, start + (count - 1) * step,
+     * must be one the format can write (no negative numbers, no letter or roman zero).
+     * @param {Object} numbering - { start, step, descending, format }
+     * @param {number|string} padding - Number padding or 'auto'
+     * @param {number} count - Number of files that are numbered (the largest group when counters reset per group)
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validateNumbering(numbering = {}, padding = 0, count = 1) {
+        const errors = [];
+        const { start = 1, step = 1, format = 'decimal' } = numbering;
+
+        if (!Number.isInteger(start)) {
+            errors.push('Start number must be a whole number');
+        }
+
+        if (!Number.isInteger(step) || step === 0) {
+            errors.push('Increment must be a whole number other than zero');
+        }
+
+        if (!this.patternCompiler.numberFormats.includes(format)) {
+            errors.push(`Unknown number format "${format}"`);
+        }
+
+        if (padding !== 'auto' && !(Number.isInteger(padding) && padding >= 0)) {
+            errors.push('Number padding must be "auto" or a whole number');
+        }
+
+        if (errors.length === 0 && count > 0) {
+            const last = start + (count - 1) * step;
+            const { min, max } = this.patternCompiler.numberRanges[format];
+            if (Math.min(start, last) < min || Math.max(start, last) > max) {
+                errors.push(`Numbering ${count} ${count === 1 ? 'file' : 'files'} from ${start} reaches ${last}, ` +
+                    `but ${format} numbers must be ${this.patternCompiler.describeNumberRange(format)}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate find-and-replace settings
+     * @param {string} find - Regular expression source
+     * @param {string} flags - Regular expression flags
+     * @returns {Object} Validation result with isValid, errors and the compiled regex
+     */
+    validateRegex(find, flags = '') {
+        const errors = [];
+
+        if (!find) {
+            errors.push('Find expression cannot be empty');
+            return { isValid: false, errors, regex: null };
+        }
+
+        if (!/^[dgimsuy]*$/.test(flags) || new Set(flags).size !== flags.length) {
+            errors.push(`Invalid regular expression flags "${flags}" (use d, g, i, m, s, u, y)`);
+            return { isValid: false, errors, regex: null };
+        }
+
+        try {
+            return { isValid: true, errors, regex: new RegExp(find, flags) };
+        } catch (error) {
+            errors.push(`Invalid regular expression: ${error.message}`);
+            return { isValid: false, errors, regex: null };
+        }
+    }
+
+    /**
+     * Apply a find-and-replace to a file's base name, keeping the extension
+     * Supports $1, $<name> and the other String.prototype.replace substitutions
+     * @param {Object} file - File metadata object
+     * @param {RegExp} regex - Compiled find expression
+     * @param {string} replacement - Replacement string
+     * @param {string|null} extension - Extension to append (defaults to the file's own)
+     * @returns {string} Generated filename
+     */
+    generateRegexName(file, regex, replacement, extension = null) {
+        const parsed = this.extensionParser.parse(file.name);
+
+        // Reset state for global/sticky expressions reused across files
+        regex.lastIndex = 0;
+
+        return parsed.baseName.replace(regex, replacement || '') + (extension ?? parsed.extension);
+    }
+
+    /**
+     * Create the name generator for the selected rename mode
+     * @param {string} pattern - Naming pattern (pattern mode)
+     * @param {number} padding - Number padding (pattern mode)
+     * @param {Object} options - Preview options with mode, regex and mapping settings
+     * @returns {Object} Generator with isValid, errors, canRenumber and generate(file, index)
+     */
+    createNameGenerator(pattern, padding, options = {}) {
+        const {
+            mode = 'pattern', regex = {}, mapping = [], rules = [], transforms = [], extension = {}, numbering = {}, sanitize = false
+        } = options;
+        const targetExtension = file => this.extensionParser.rewrite(
+            this.extensionParser.parse(file.name).extension,
+            extension
+        );
+        const finish = name => sanitize ? this.sanitizeFilename(name) : name;
+
+        const unknownTransforms = transforms.filter(name => !this.getTransformNames().includes(name));
+        if (unknownTransforms.length > 0) {
+            return { isValid: false, errors: [`Unknown transform: ${unknownTransforms.join(', ')}`] };
+        }
+
+        // Imported names are used as they are; files not in the mapping keep their name
+        if (mode === 'mapping') {
+            const targets = new Map(mapping.map(pair => [pair.original, pair.newName]));
+            return {
+                isValid: targets.size > 0,
+                errors: targets.size > 0 ? [] : ['Import a mapping file with original,new pairs first'],
+                canRenumber: false,
+                collisionHint: '. Change the new name in the mapping file',
+                duplicateHint: '. Every new name in the mapping file must be unique within its folder',
+                generate: (file) => finish(targets.get(file.path || file.name) ?? file.name)
+            };
+        }
+
+        if (mode === 'regex') {
+            const validation = this.validateRegex(regex.find, regex.flags || '');
+            return {
+                isValid: validation.isValid,
+                errors: validation.errors,
+                canRenumber: false,
+                collisionHint: '. Change the replacement so it produces a free name',
+                duplicateHint: '. Change the replacement so every name is unique',
+                generate: (file) => {
+                    const newExtension = targetExtension(file);
+                    return finish(this.transformFilename(
+                        this.generateRegexName(file, validation.regex, regex.replace, newExtension),
+                        newExtension,
+                        transforms
+                    ));
+                }
+            };
+        }
+
+        // Rules run over the base name; the global extension option applies before the extension rule
+        if (mode === 'rules') {
+            const validation = this.rulePipeline.validate(rules, numbering.paddingTotal ?? numbering.total);
+            const hasNumber = this.rulePipeline.hasNumber(rules);
+            return {
+                isValid: validation.isValid,
+                errors: validation.errors,
+                canRenumber: hasNumber,
+                collisionHint: '. Add a number rule so the collision can be resolved',
+                duplicateHint: hasNumber ? '' : '. Add a number rule to make every name unique',
+                generate: (file, index, total = numbering.total) => {
+                    const newName = this.rulePipeline.apply(rules, {
+                        baseName: this.extensionParser.parse(file.name).baseName,
+                        extension: targetExtension(file),
+                        index: index,
+                        total: total,
+                        paddingTotal: numbering.paddingTotal
+                    });
+                    const newExtension = this.extensionParser.parse(newName).extension;
+                    return finish(this.transformFilename(newName, newExtension, transforms));
+                }
+            };
+        }
+
+        const validation = this.validatePattern(pattern);
+        const compiled = this.patternCompiler.compile(pattern);
+        // Options written in {number:...} take precedence over the numbering settings
+        const numberToken = compiled.segments.find(segment => segment.type === 'token' && segment.name === 'number');
+        const { start, step, format, pad } = numberToken ? numberToken.options : {};
+        const numberingValidation = this.validateNumbering(
+            { ...numbering, start: start ?? numbering.start, step: step ?? numbering.step, format: format ?? numbering.format },
+            pad ?? padding,
+            compiled.hasNumber ? numbering.paddingTotal ?? numbering.total : 0
+        );
+        return {
+            isValid: validation.isValid && numberingValidation.isValid,
+            errors: [...validation.errors, ...numberingValidation.errors],
+            canRenumber: compiled.hasNumber,
+            collisionHint: '. Add {number} to the pattern so the collision can be resolved',
+            duplicateHint: compiled.hasNumber ? '' : '. Add {number} to make every name unique',
+            generate: (file, index, total = numbering.total) => {
+                const newExtension = targetExtension(file);
+                return finish(this.transformFilename(
+                    this.generateNewName(pattern, index, padding, newExtension, file, { ...numbering, total }),
+                    newExtension,
+                    transforms
+                ));
+            }
+        };
+    }
+
     /**
      * Generate preview data for all files
      * @param {Array} files - Array of file objects
      * @param {string} pattern - Naming pattern
      * @param {number} padding - Number padding
      * @param {Object} options - Additional options
+     * @param {string} options.mode - 'pattern' (default), 'regex', 'rules' or 'mapping'
+     * @param {Object} options.regex - Find/replace settings for regex mode: { find, replace, flags }
+     * @param {Array} options.mapping - Imported { original, newName, line } pairs for mapping mode
+     * @param {Array} options.rules - Ordered { type, enabled, options } rules for rules mode
+     * @param {Array<string>} options.transforms - Transforms applied to each whole generated name
+     * @param {Object} options.extension - Extension rewrite options for ExtensionParser.rewrite
+     * @param {Object} options.overrides - Hand-picked new names keyed by the file's relative path
+     * @param {Object} options.numbering - { start, step, descending, format } for {number}
+     * @param {Map} options.groupOf - Group key per file; when set, {number} counts per group
+     * @param {string} options.counterScope - 'independent' (restart per group) or 'shared' (one number per group)
+     * @param {boolean} options.sanitize - Fix generated names that break the target profile rules
+     * @param {string} options.collisionStrategy - What to do when a new name is taken: 'bump', 'suffix', 'skip' or 'abort'
+     * @param {Object} options.duplicates - Identical files: { mode, folder, groups, keepOrder } (see describeDuplicates);
+     *                                     keepOrder leaves copies where they are instead of under their original
      * @returns {Promise<Object>} Preview data with collision detection
      */
     async generatePreview(files, pattern, padding, options = {}) {
         const {
             resolveCollisions = true,
-            startIndex = 1
+            startIndex = 1,
+            overrides = {},
+            groupOf = null,
+            counterScope = 'independent',
+            collisionStrategy = 'bump',
+            duplicates = { mode: '', groups: [] }
         } = options;
 
-        // Validate pattern first
-        const patternValidation = this.validatePattern(pattern);
-        if (!patternValidation.isValid) {
+        if (duplicates.mode === 'move') {
+            const folderValidation = this.validateFilename(duplicates.folder || '');
+            if (!folderValidation.isValid) {
+                return {
+                    success: false,
+                    errors: folderValidation.errors.map(error => `Duplicates folder: ${error}`),
+                    previewData: []
+                };
+            }
+        }
+
+        // Copies are listed right below the first file with the same content, unless the order is kept
+        const duplicateOf = this.describeDuplicates(duplicates.groups || []);
+        if (!duplicates.keepOrder) {
+            files = this.groupDuplicates(files, duplicates.groups || []);
+        }
+        const handledCopy = file => ['exclude', 'suffix', 'move'].includes(duplicates.mode) && duplicateOf.get(file)?.copy > 0;
+
+        // Files with a hand-picked name, and copies that are handled separately, are not numbered
+        const pathOf = file => file.path || file.name;
+        const numberedFiles = files.filter(file => !Object.prototype.hasOwnProperty.call(overrides, pathOf(file)) && !handledCopy(file));
+        const groupCounters = groupOf ? this.createGroupCounters(numberedFiles, groupOf, counterScope) : null;
+        const numbering = { ...options.numbering, total: numberedFiles.length };
+        if (groupCounters) {
+            numbering.paddingTotal = Math.max(...[...groupCounters.values()].map(counter => counter.total));
+        }
+
+        // Validate pattern (or regex) first
+        const generator = this.createNameGenerator(pattern, padding, { ...options, numbering });
+        if (!generator.isValid) {
             return {
                 success: false,
-                errors: patternValidation.errors,
+                errors: generator.errors,
                 previewData: []
             };
         }
 
+        this.renamePlanner.detectCaseSensitivity([...this.fileSystemManager.getFiles(), ...files]);
+        const keyOf = (file, name) => this.renamePlanner.keyOf(file, name);
         const previewData = [];
         const usedNames = new Set();
+        const batchNames = new Set(files.map(file => keyOf(file)));
         const collisionResolutions = [];
+        const invalidNames = [];
+        const newNames = new Map();
+        const moveFolders = new Map();
         let currentIndex = startIndex;
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
-            let newName = this.generateNewName(pattern, currentIndex, padding, file.extension);
-            let actualIndex = currentIndex;
+            const overridden = Object.prototype.hasOwnProperty.call(overrides, pathOf(file));
+            const duplicate = duplicateOf.get(file) || null;
+            const copy = !overridden && handledCopy(file);
+            const groupCounter = groupCounters && groupCounters.get(file);
+            let newName;
+            let actualIndex = null;
+            let moveTo = null;
+
+            if (overridden) {
+                newName = overrides[pathOf(file)];
+            } else if (copy && duplicates.mode === 'suffix') {
+                // report.pdf, report.pdf → doc_004.pdf, doc_004-dup1.pdf
+                const { baseName, extension } = this.extensionParser.parse(newNames.get(duplicate.original));
+                newName = `${baseName}-dup${duplicate.copy}${extension}`;
+            } else if (copy) {
+                // Excluded and moved copies keep their names
+                newName = file.name;
+                if (duplicates.mode === 'move') {
+                    moveTo = file.folderPath ? `${file.folderPath}/${duplicates.folder}` : duplicates.folder;
+                }
+            } else if (groupCounter) {
+                actualIndex = groupCounter.index;
+                newName = generator.generate(file, actualIndex, groupCounter.total);
+            } else {
+                actualIndex = currentIndex;
+                try {
+                    newName = generator.generate(file, actualIndex);
+                } catch (error) {
+                    // Collisions earlier in the batch bumped the numbering past what the format can write
+                    if (!(error instanceof RangeError)) throw error;
+                    return {
+                        success: false,
+                        errors: [`${error.message}: collisions moved the number of "${file.name}" out of range`],
+                        previewData: previewData
+                    };
+                }
+            }
             let collisionResolved = false;
+            let skipped = false;
+
+            // A moved copy is checked in the folder it moves to; moves run before the renames,
+            // so names the batch vacates there are still taken
+            let location = file;
+            let vacatedNames = batchNames;
+            if (moveTo !== null) {
+                if (!moveFolders.has(moveTo)) {
+                    moveFolders.set(moveTo, await this.findFolderHandle(moveTo));
+                }
+                location = { ...file, folderPath: moveTo, parentHandle: moveFolders.get(moveTo) };
+                vacatedNames = new Set();
+            }
 
-            // Check for collisions
-            if (resolveCollisions) {
-                const collisionCheck = await this.checkForCollisions(newName, files);
-
-                if (collisionCheck.hasCollisions) {
-                    const resolution = await this.resolveCollision(
-                        pattern,
-                        currentIndex,
-                        padding,
-                        file.extension,
-                        files
-                    );
-
-                    if (resolution.resolved) {
-                        newName = resolution.newName;
-                        actualIndex = resolution.newIndex;
-                        collisionResolved = true;
-
-                        collisionResolutions.push({
-                            originalFile: file,
-                            originalName: file.name,
-                            originalIndex: currentIndex,
-                            resolvedName: newName,
-                            resolvedIndex: actualIndex,
-                            attempts: resolution.attempts
-                        });
-                    } else {
-                        // Could not resolve collision
+            // Check for collisions (a name that is unchanged cannot collide unless the file moves)
+            if (resolveCollisions && (newName !== file.name || moveTo !== null)) {
+                const collisionCheck = await this.checkForCollisions(newName, files, vacatedNames, location);
+
+                if (collisionCheck.hasCollisions && overridden) {
+                    return {
+                        success: false,
+                        errors: [`Manual name "${newName}" for "${file.name}" already exists. Choose another name or clear the override`],
+                        previewData: previewData
+                    };
+                }
+
+                // Suffix and skip can also route around a name generated twice in the batch
+                const repeated = !overridden && ['suffix', 'skip'].includes(collisionStrategy) &&
+                    usedNames.has(keyOf(location, newName));
+
+                if (collisionCheck.hasCollisions || repeated) {
+                    const resolution = await this.applyCollisionStrategy(collisionStrategy, {
+                        file: location,
+                        newName: newName,
+                        currentIndex: actualIndex,
+                        existingFiles: files,
+                        vacatedNames: vacatedNames,
+                        usedNames: usedNames,
+                        generate: index => generator.generate(file, index),
+                        // Bumping a grouped number would break the group it belongs to
+                        canRenumber: generator.canRenumber && !groupCounter && !copy,
+                        collisionHint: copy ? '' : groupCounter ? '. Rename or move the existing file first' : generator.collisionHint
+                    });
+
+                    if (!resolution.resolved) {
                         return {
                             success: false,
-                            errors: [`Could not resolve naming collision for "${file.name}": ${resolution.error}`],
+                            errors: [resolution.error],
                             previewData: previewData
                         };
                     }
+
+                    collisionResolutions.push({
+                        originalFile: file,
+                        originalName: file.name,
+                        strategy: collisionStrategy,
+                        conflictingName: newName,
+                        originalIndex: actualIndex,
+                        resolvedName: resolution.newName,
+                        resolvedIndex: resolution.newIndex ?? actualIndex,
+                        attempts: resolution.attempts
+                    });
+
+                    newName = resolution.newName;
+                    skipped = resolution.skipped === true;
+                    collisionResolved = !skipped;
+                    if (skipped) {
+                        // A skipped copy stays where it is
+                        moveTo = null;
+                    }
+                    if (resolution.newIndex !== undefined) {
+                        actualIndex = resolution.newIndex;
+                    }
                 }
             }
 
-            // Check if name was already used (duplicate detection)
-            if (usedNames.has(newName)) {
+            // Check if name was already used in the same folder (duplicate detection)
+            const usedKey = moveTo !== null ? keyOf(location, newName) : keyOf(file, newName);
+            if (usedNames.has(usedKey)) {
+                let duplicateHint = generator.duplicateHint;
+                if (groupCounter) {
+                    duplicateHint = counterScope === 'shared'
+                        ? '. Files in a group share one number; add {name} or {ext} to tell them apart'
+                        : '. Every group restarts at the same number; add a token such as {ext} or {date} that tells the groups apart';
+                }
                 return {
                     success: false,
-                    errors: [`Duplicate name generated: "${newName}" for files "${file.name}"`],
+                    errors: [`Duplicate name generated: "${newName}" for files "${file.name}"${duplicateHint}`],
                     previewData: previewData
                 };
             }
 
-            usedNames.add(newName);
+            usedNames.add(usedKey);
+            newNames.set(file, newName);
+
+            // Every generated name must itself be a valid filename (skipped files keep theirs)
+            const nameValidation = skipped ? { isValid: true } : this.validateFilename(newName);
+            if (!nameValidation.isValid) {
+                invalidNames.push(`"${file.name}" → "${newName}": ${nameValidation.errors.join(', ')}`);
+            }
 
             previewData.push({
                 originalName: file.name,
+                path: pathOf(file),
                 newName: newName,
                 originalIndex: i + 1,
-                actualIndex: actualIndex,
+                actualIndex: skipped ? null : actualIndex,
                 file: file,
                 collisionResolved: collisionResolved,
+                skipped: skipped,
                 size: file.size,
                 creationTime: file.creationTime || file.lastModified,
-                extension: file.extension
+                captureTime: file.metadata?.taken || null,
+                // undefined: not read; null: read, but no metadata (files without a capture time use the file date)
+                metadata: file.metadata,
+                extension: file.extension,
+                unchanged: newName === file.name && moveTo === null,
+                overridden: overridden,
+                // { group, copy, count }: copy 0 is the first file with this content
+                duplicate: duplicate && { group: duplicate.group, copy: duplicate.copy, count: duplicate.count },
+                moveTo: moveTo
             });
 
-            currentIndex = actualIndex + 1;
+            // Hand-picked names and handled copies don't use up a number, so the rest stay contiguous;
+            // a skipped file does, otherwise the next file would hit the same name
+            if (!overridden && !copy && !groupCounter) {
+                currentIndex = actualIndex + 1;
+            }
+        }
+
+        if (invalidNames.length > 0) {
+            return {
+                success: false,
+                errors: invalidNames,
+                previewData: previewData
+            };
         }
 
         this.collisionResolutions = collisionResolutions;
 
+        // Mapping rows whose original is not in the folder are reported, not fatal
+        const paths = new Set(files.map(pathOf));
+        const missing = options.mode === 'mapping'
+            ? (options.mapping || []).filter(pair => !paths.has(pair.original))
+            : [];
+
         return {
             success: true,
             errors: [],
+            warnings: missing.map(pair => `"${pair.original}" (line ${pair.line} of the mapping file) is not in the folder`),
+            missing: missing,
             previewData: previewData,
             collisionResolutions: collisionResolutions,
             totalFiles: files.length,
@@ -283,17 +794,141 @@ class FileRenamer {
         };
     }
 
+    /**
+     * Describe each file's place in its group of identical files
+     * @param {Array<Array>} groups - Groups of identical files from ContentHasher.findDuplicates
+     * @returns {Map} File -> { group, copy, count, original }; copy 0 is the original (first in the group)
+     */
+    describeDuplicates(groups) {
+        const duplicateOf = new Map();
+        groups.forEach((groupFiles, groupIndex) => {
+            groupFiles.forEach((file, copy) => {
+                duplicateOf.set(file, { group: groupIndex + 1, copy, count: groupFiles.length, original: groupFiles[0] });
+            });
+        });
+        return duplicateOf;
+    }
+
+    /**
+     * Move the copies in each group of identical files to right after the group's first file
+     * @param {Array} files - Files in display order
+     * @param {Array<Array>} groups - Groups of identical files, each in display order
+     * @returns {Array} Reordered files
+     */
+    groupDuplicates(files, groups) {
+        if (groups.length === 0) return files;
+
+        const copiesOf = new Map(groups.map(group => [group[0], group.slice(1)]));
+        const copies = new Set(groups.flatMap(group => group.slice(1)));
+        const ordered = [];
+        files.forEach(file => {
+            if (copies.has(file)) return;
+            ordered.push(file, ...(copiesOf.get(file) || []));
+        });
+        return ordered;
+    }
+
+    /**
+     * Work out the {number} index of each file when counting per group
+     * Groups are numbered in the order their first file appears.
+     * @param {Array} files - Files to number, in display order
+     * @param {Map} groupOf - Group key per file
+     * @param {string} counterScope - 'independent' restarts the count in every group,
+     *                                'shared' gives every file in a group the group's number
+     * @returns {Map} File -> { index, total } where total is the count the index runs up to
+     */
+    createGroupCounters(files, groupOf, counterScope = 'independent') {
+        const groups = new Map();
+        files.forEach(file => {
+            const key = groupOf.get(file) ?? '';
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(file);
+        });
+
+        const counters = new Map();
+        [...groups.values()].forEach((groupFiles, groupIndex) => {
+            groupFiles.forEach((file, fileIndex) => {
+                counters.set(file, counterScope === 'shared'
+                    ? { index: groupIndex + 1, total: groups.size }
+                    : { index: fileIndex + 1, total: groupFiles.length });
+            });
+        });
+
+        return counters;
+    }
+
+    /**
+     * Validate a hand-picked name for one row of the preview
+     * @param {string} path - Relative path of the file being overridden
+     * @param {string} newName - Proposed new name
+     * @param {Array} previewData - Current preview data
+     * @returns {Promise<Object>} Validation result with isValid and errors
+     */
+    async validateOverride(path, newName, previewData) {
+        const validation = this.validateFilename(newName);
+        const errors = [...validation.errors];
+
+        if (!validation.isValid) {
+            return { isValid: false, errors };
+        }
+
+        const target = previewData.find(item => item.path === path);
+        const newKey = this.renamePlanner.keyOf(target?.file, newName);
+        const duplicate = previewData.find(item =>
+            item !== target && this.renamePlanner.keyOf(item.file, item.newName) === newKey
+        );
+        if (duplicate) {
+            errors.push(`"${newName}" is already the new name of "${duplicate.originalName}"`);
+        }
+
+        if (newName !== target?.originalName) {
+            const batchNames = new Set(previewData.map(item => this.renamePlanner.keyOf(item.file, item.originalName)));
+            const files = previewData.map(item => item.file);
+            const collisionCheck = await this.checkForCollisions(newName, files, batchNames, target?.file);
+            if (collisionCheck.hasCollisions) {
+                errors.push(`A file named "${newName}" already exists in the folder`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
     /**
      * Execute the renaming operation
+     * Renames are ordered by the RenamePlanner so chains and cycles within the
+     * batch never overwrite each other; cycles pass through temporary names.
+     * A target that appeared in the folder after the preview was built is handled
+     * with the collision strategy; 'bump' adds a suffix at this point because the
+     * numbers of the rest of the batch are already fixed.
+     * Cancelling takes effect between renames, once no file is parked under a
+     * temporary name, so a cycle in progress is always completed first.
+     * Items with a moveTo folder path are moved there (keeping their new name) before
+     * the renames run, which also frees their names for the rest of the batch.
      * @param {Array} previewData - Preview data from generatePreview
      * @param {Function} progressCallback - Callback for progress updates
+     * @param {Object} options - Execution options
+     * @param {string} options.collisionStrategy - 'bump', 'suffix', 'skip' or 'abort'
+     * @param {AbortSignal} options.signal - Cancels the rest of the batch when aborted
+     * @param {Function} options.waitIfPaused - Returns a promise that resolves when the batch may continue
+     * @param {Object} options.directory - Folder other than the selected one: { handle, files } from a scan of it
      * @returns {Promise<Object>} Operation result
      */
-    async executeRenaming(previewData, progressCallback = null) {
+    async executeRenaming(previewData, progressCallback = null, options = {}) {
+        const { collisionStrategy = 'bump', signal = null, waitIfPaused = null, directory = null } = options;
         const startTime = Date.now();
         const results = {
             successful: [],
             failed: [],
+            skipped: [],
+            collisions: [],
+            notRenamed: [],
+            aborted: false,
+            cancelled: false,
             totalFiles: previewData.length,
             startTime: startTime,
             endTime: null,
@@ -302,52 +937,177 @@ class FileRenamer {
 
         this.operationLog = [];
 
-        for (let i = 0; i < previewData.length; i++) {
-            const item = previewData[i];
+        const keyOf = (item, name) => this.renamePlanner.keyOf(item.file, name);
+        const isMove = entry => entry.moveTo !== undefined && entry.moveTo !== null;
+        const directoryFiles = directory ? directory.files : this.fileSystemManager.getFiles();
+        this.renamePlanner.detectCaseSensitivity(directoryFiles);
+        const directoryNames = new Set(directoryFiles.map(file => this.renamePlanner.keyOf(file)));
+        const plan = this.renamePlanner.plan(previewData.filter(item => !isMove(item)), directoryNames);
+        const moveSteps = previewData
+            .filter(isMove)
+            .map(item => ({ item, from: item.originalName, to: item.newName, temporary: false, moveTo: item.moveTo }));
+        const holders = new Map(previewData.map(item => [keyOf(item, item.originalName), item]));
+        const failedItems = new Set();
+        const parkedItems = new Set();
+        const notRenamedItems = new Set();
+        let completed = 0;
+
+        // Files whose name does not change need no move
+        previewData
+            .filter(item => item.newName === item.originalName && !isMove(item))
+            .forEach(item => {
+                completed++;
+                const entry = {
+                    originalName: item.originalName,
+                    newName: item.newName,
+                    file: item.file
+                };
+                if (item.skipped) {
+                    results.skipped.push(entry);
+                } else {
+                    results.successful.push(entry);
+                }
+            });
+
+        for (const step of [...moveSteps, ...plan.steps]) {
+            const item = step.item;
+            if (failedItems.has(item)) continue;
+
+            if (waitIfPaused && !results.cancelled) {
+                await waitIfPaused();
+            }
+
+            if (signal && signal.aborted && parkedItems.size === 0) {
+                results.cancelled = true;
+            }
+
+            if (results.cancelled) {
+                if (!notRenamedItems.has(item)) {
+                    notRenamedItems.add(item);
+                    results.notRenamed.push({
+                        originalName: item.originalName,
+                        newName: item.newName,
+                        file: item.file
+                    });
+                }
+                continue;
+            }
+
+            if (results.aborted) {
+                failedItems.add(item);
+                results.failed.push({
+                    originalName: item.originalName,
+                    newName: item.newName,
+                    currentName: step.from,
+                    file: item.file,
+                    moveTo: item.moveTo ?? null,
+                    error: 'Not renamed because the batch was aborted' +
+                        (step.from !== item.originalName ? ` (file was left as "${step.from}")` : ''),
+                    reason: 'aborted'
+                });
+                continue;
+            }
 
             try {
                 // Call progress callback if provided
                 if (progressCallback) {
-                    progressCallback(i + 1, previewData.length, item.originalName, item.newName);
+                    progressCallback(Math.min(completed + 1, previewData.length), previewData.length, item.originalName, step.to);
+                }
+
+                // Moved files go to another folder, which is created when it does not exist yet
+                const target = isMove(step)
+                    ? { folderPath: step.moveTo, directoryHandle: await this.fileSystemManager.getFolderHandle(step.moveTo, true, directory?.handle) }
+                    : { folderPath: item.file.folderPath, directoryHandle: item.file.parentHandle };
+                const targetKeyOf = name => this.renamePlanner.keyOf({ folderPath: target.folderPath }, name);
+
+                // A failed earlier move can leave the target occupied
+                const holder = holders.get(targetKeyOf(step.to));
+                if (holder && holder !== item) {
+                    throw new Error(`Target name is still in use by "${holder.originalName}"`);
+                }
+
+                // A file outside the batch may have taken the name since the preview
+                let targetName = step.to;
+                if (!holder && !step.temporary && await this.fileSystemManager.fileExists(step.to, target.directoryHandle)) {
+                    const collision = await this.handleExecutionCollision(item, step, collisionStrategy, holders, target);
+                    results.collisions.push(collision);
+
+                    if (collision.action === 'abort') {
+                        results.aborted = true;
+                        throw new Error(`"${step.to}" already exists; the batch was aborted`);
+                    }
+                    if (collision.action === 'skip') {
+                        completed++;
+                        results.skipped.push({
+                            originalName: item.originalName,
+                            newName: item.newName,
+                            file: item.file
+                        });
+                        continue;
+                    }
+                    targetName = collision.resolvedName;
                 }
 
                 // Perform the rename operation
                 const success = await this.fileSystemManager.renameFile(
                     item.file.handle,
-                    item.newName
+                    targetName,
+                    isMove(step) ? target.directoryHandle : null
                 );
 
-                if (success) {
-                    results.successful.push({
-                        originalName: item.originalName,
-                        newName: item.newName,
-                        file: item.file
-                    });
+                if (!success) {
+                    throw new Error('Rename operation returned false');
+                }
+
+                holders.delete(keyOf(item, step.from));
+                holders.set(targetKeyOf(targetName), item);
+                if (step.temporary) {
+                    parkedItems.add(item);
+                } else {
+                    parkedItems.delete(item);
+                }
+
+                this.operationLog.push({
+                    timestamp: Date.now(),
+                    operation: step.temporary ? 'rename-temp' : isMove(step) ? 'move' : 'rename',
+                    originalName: step.from,
+                    newName: isMove(step) ? `${step.moveTo}/${targetName}` : targetName,
+                    status: 'success'
+                });
 
-                    this.operationLog.push({
-                        timestamp: Date.now(),
-                        operation: 'rename',
+                if (!step.temporary) {
+                    completed++;
+                    results.successful.push({
                         originalName: item.originalName,
-                        newName: item.newName,
-                        status: 'success'
+                        newName: targetName,
+                        file: item.file,
+                        ...(isMove(step) ? { movedTo: step.moveTo } : {})
                     });
-                } else {
-                    throw new Error('Rename operation returned false');
                 }
 
             } catch (error) {
+                failedItems.add(item);
+                parkedItems.delete(item);
+
+                const strandedNote = step.from !== item.originalName
+                    ? ` (file was left as "${step.from}")`
+                    : '';
+
                 results.failed.push({
                     originalName: item.originalName,
                     newName: item.newName,
+                    currentName: step.from,
                     file: item.file,
-                    error: error.message
+                    moveTo: item.moveTo ?? null,
+                    error: error.message + strandedNote,
+                    reason: this.classifyFailure(error.message)
                 });
 
                 this.operationLog.push({
                     timestamp: Date.now(),
-                    operation: 'rename',
-                    originalName: item.originalName,
-                    newName: item.newName,
+                    operation: step.temporary ? 'rename-temp' : isMove(step) ? 'move' : 'rename',
+                    originalName: step.from,
+                    newName: step.to,
                     status: 'failed',
                     error: error.message
                 });
@@ -357,10 +1117,177 @@ class FileRenamer {
         const endTime = Date.now();
         results.endTime = endTime;
         results.duration = endTime - startTime;
+        results.temporaryMoves = plan.cycles;
 
         return results;
     }
 
+    /**
+     * Tell what kind of problem made a rename fail
+     * @param {string} message - Error message
+     * @returns {string} 'locked' (worth retrying later), 'name' (needs another name), 'missing' or 'other'
+     */
+    classifyFailure(message) {
+        if (/locked|permission denied|busy/i.test(message)) return 'locked';
+        if (/not found|was deleted/i.test(message)) return 'missing';
+        if (/name|already exists|in use|invalid characters/i.test(message)) return 'name';
+        return 'other';
+    }
+
+    /**
+     * Retry renames that failed in an earlier batch
+     * Files locked by another program are tried again after a growing delay
+     * (1 s, 2 s, 4 s …) when more than one attempt is allowed.
+     * @param {Array} failures - Failed entries from executeRenaming
+     * @param {Function} progressCallback - Callback for progress updates
+     * @param {Object} options - Retry options
+     * @param {Object} options.newNames - Replacement names keyed by the file's relative path
+     * @param {number} options.attempts - Total attempts for locked files (1 = no back-off)
+     * @param {number} options.delay - First back-off delay in milliseconds
+     * @param {Function} options.onWait - Called with (attempt, attempts, delay, count) before each back-off
+     * @param {string} options.collisionStrategy - Collision strategy for the retried renames
+     * @returns {Promise<Object>} Operation result covering every attempt
+     */
+    async retryFailed(failures, progressCallback = null, options = {}) {
+        const { newNames = {}, attempts = 1, delay = 1000, onWait = null, collisionStrategy = 'bump' } = options;
+        const pathOf = failure => failure.file?.path || failure.originalName;
+        const startTime = Date.now();
+        const results = {
+            successful: [],
+            failed: [],
+            skipped: [],
+            collisions: [],
+            notRenamed: [],
+            aborted: false,
+            cancelled: false,
+            retried: true,
+            totalFiles: failures.length,
+            startTime: startTime,
+            endTime: null,
+            duration: null
+        };
+
+        // A file stranded under a temporary name is retried from where it is
+        let pending = [];
+        failures.forEach(failure => {
+            const newName = (newNames[pathOf(failure)] ?? failure.newName).trim();
+            const validation = this.validateFilename(newName);
+
+            if (!validation.isValid) {
+                results.failed.push({ ...failure, newName, error: validation.errors.join(', '), reason: 'name' });
+                return;
+            }
+
+            const currentName = failure.currentName || failure.originalName;
+            pending.push({
+                originalName: currentName,
+                newName: newName,
+                file: failure.file,
+                moveTo: failure.moveTo ?? null,
+                extension: this.extensionParser.parse(currentName).extension,
+                retryOf: failure
+            });
+        });
+
+        for (let attempt = 1; attempt <= attempts && pending.length > 0; attempt++) {
+            if (attempt > 1) {
+                const wait = delay * Math.pow(2, attempt - 2);
+                if (onWait) onWait(attempt, attempts, wait, pending.length);
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+
+            const attemptResult = await this.executeRenaming(pending, progressCallback, { collisionStrategy });
+            const itemsByName = new Map(pending.map(item => [item.originalName + '\n' + pathOf(item), item]));
+            const itemOf = entry => itemsByName.get(entry.originalName + '\n' + pathOf(entry));
+
+            // Report against the name the file had before the original batch
+            const restore = entry => ({ ...entry, originalName: itemOf(entry)?.retryOf.originalName ?? entry.originalName });
+            results.successful.push(...attemptResult.successful.map(restore));
+            results.skipped.push(...attemptResult.skipped.map(restore));
+            results.collisions.push(...attemptResult.collisions);
+
+            const lastAttempt = attempt === attempts;
+            pending = [];
+            attemptResult.failed.forEach(entry => {
+                if (entry.reason === 'locked' && !lastAttempt) {
+                    pending.push(itemOf(entry));
+                } else {
+                    results.failed.push(restore(entry));
+                }
+            });
+        }
+
+        results.endTime = Date.now();
+        results.duration = results.endTime - startTime;
+
+        return results;
+    }
+
+    /**
+     * Build the renames that put the files of a finished batch back under their old names
+     * @param {Array} successful - Successful entries from executeRenaming
+     * @returns {Array} Items for executeRenaming
+     */
+    createRollbackItems(successful) {
+        return successful
+            .filter(entry => entry.file && (entry.originalName !== entry.newName || entry.movedTo))
+            .map(entry => {
+                const folderPath = entry.movedTo || entry.file.folderPath || '';
+                return {
+                    originalName: entry.newName,
+                    newName: entry.originalName,
+                    // The file is now known by its new name, in the folder it was moved to
+                    file: {
+                        ...entry.file,
+                        name: entry.newName,
+                        folderPath: folderPath,
+                        path: folderPath ? `${folderPath}/${entry.newName}` : entry.newName
+                    },
+                    extension: entry.file.extension,
+                    size: entry.file.size,
+                    moveTo: entry.movedTo ? entry.file.folderPath || '' : null
+                };
+            });
+    }
+
+    /**
+     * Decide what to do with a rename whose target appeared after the preview
+     * @param {Object} item - Preview item being renamed
+     * @param {Object} step - Planned move step
+     * @param {string} strategy - Collision strategy
+     * @param {Map} holders - Location keys currently held by batch items
+     * @param {Object} target - { folderPath, directoryHandle } the file goes to (defaults to its own folder)
+     * @returns {Promise<Object>} { originalName, conflictingName, strategy, action, resolvedName }
+     */
+    async handleExecutionCollision(item, step, strategy, holders, target = null) {
+        const { folderPath, directoryHandle } = target || { folderPath: item.file.folderPath, directoryHandle: item.file.parentHandle };
+        const collision = {
+            originalName: item.originalName,
+            conflictingName: step.to,
+            strategy: strategy,
+            action: strategy,
+            resolvedName: null
+        };
+
+        // A file parked under a temporary name cannot simply stay where it is
+        const parked = step.from !== item.originalName;
+        if (strategy === 'abort' || (strategy === 'skip' && !parked)) {
+            return collision;
+        }
+
+        const { baseName, extension } = this.extensionParser.parse(step.to);
+        for (let attempt = 2; attempt <= 1000; attempt++) {
+            const candidate = `${baseName} (${attempt})${extension}`;
+            if (holders.has(this.renamePlanner.keyOf({ folderPath }, candidate))) continue;
+
+            if (!await this.fileSystemManager.fileExists(candidate, directoryHandle)) {
+                return { ...collision, action: 'suffix', resolvedName: candidate };
+            }
+        }
+
+        throw new Error(`"${step.to}" already exists and no free suffix was found`);
+    }
+
     /**
      * Get the operation log
      * @returns {Array} Operation log entries
@@ -391,73 +1318,123 @@ class FileRenamer {
      * @returns {string} File extension (including dot) or empty string
      */
     extractExtension(filename) {
-        if (!filename) return '';
-
-        const lastDotIndex = filename.lastIndexOf('.');
-        if (lastDotIndex === -1 || lastDotIndex === filename.length - 1) {
-            return '';
-        }
-
-        return filename.substring(lastDotIndex);
+        return this.extensionParser.parse(filename).extension;
     }
 
     /**
-     * Sanitize filename by removing or replacing invalid characters
+     * Sanitize filename by replacing what the selected target profile does not allow
      * @param {string} filename - Filename to sanitize
      * @returns {string} Sanitized filename
      */
     sanitizeFilename(filename) {
         if (!filename) return '';
 
-        // Replace invalid characters with underscores
-        return filename
-            .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
-            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-            .trim();
+        return this.filenameRules.sanitize(
+            filename
+                .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+                .trim()
+        );
     }
 
     /**
-     * Validate filename against common naming constraints
-     * @param {string} filename - Filename to validate
-     * @returns {Object} Validation result
+     * Split text into words at separators and camelCase boundaries
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
      */
-    validateFilename(filename) {
-        const errors = [];
+    splitWords(text) {
+        return text
+            .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+            .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+            .match(/[\p{L}\p{N}]+/gu) || [];
+    }
 
-        if (!filename || filename.trim() === '') {
-            errors.push('Filename cannot be empty');
-            return { isValid: false, errors };
-        }
+    /**
+     * Remove diacritics and transliterate common non-decomposable letters
+     * @param {string} text - Text to transliterate
+     * @returns {string} ASCII-friendly text (e.g. café → cafe)
+     */
+    stripDiacritics(text) {
+        const letters = {
+            'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+            'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', 'þ': 'th', 'Þ': 'Th', 'ð': 'd', 'Ð': 'D', 'ı': 'i'
+        };
 
-        const trimmedName = filename.trim();
+        return text
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/[ßæÆœŒøØđĐłŁþÞðÐı]/g, char => letters[char])
+            .normalize('NFC');
+    }
 
-        // Length check
-        if (trimmedName.length > 255) {
-            errors.push('Filename is too long (maximum 255 characters)');
-        }
+    /**
+     * Get the available text transforms
+     * @returns {Object} Transform functions keyed by name
+     */
+    getTransforms() {
+        const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
 
-        // Invalid characters check
-        const invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
-        if (invalidChars.test(trimmedName)) {
-            errors.push('Filename contains invalid characters: < > : " / \\ | ? * or control characters');
-        }
+        return {
+            lower: text => text.toLowerCase(),
+            upper: text => text.toUpperCase(),
+            title: text => text.replace(/[\p{L}\p{N}]+/gu, capitalize),
+            snake: text => this.splitWords(text).map(word => word.toLowerCase()).join('_'),
+            kebab: text => this.splitWords(text).map(word => word.toLowerCase()).join('-'),
+            camel: text => this.splitWords(text)
+                .map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word))
+                .join(''),
+            ascii: text => this.stripDiacritics(text),
+            nfc: text => text.normalize('NFC')
+        };
+    }
 
-        // Reserved names check (Windows)
-        const nameWithoutExt = trimmedName.replace(/\.[^.]+$/, ''); // Remove extension
-        const reservedNames = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
-        if (reservedNames.test(nameWithoutExt)) {
-            errors.push('Filename cannot use reserved Windows names');
-        }
+    /**
+     * Get the names of the available text transforms
+     * @returns {Array<string>} Transform names
+     */
+    getTransformNames() {
+        return Object.keys(this.getTransforms());
+    }
+
+    /**
+     * Apply text transforms in order
+     * @param {string} text - Text to transform
+     * @param {Array<string>} transforms - Transform names, e.g. ['ascii', 'kebab']
+     * @returns {string} Transformed text
+     */
+    applyTransforms(text, transforms = []) {
+        const available = this.getTransforms();
+
+        return transforms.reduce((result, name) => {
+            const transform = available[name];
+            return transform ? transform(result) : result;
+        }, text);
+    }
+
+    /**
+     * Apply transforms to a generated filename, leaving the extension untouched
+     * @param {string} filename - Generated filename
+     * @param {string} extension - Extension to preserve (with dot)
+     * @param {Array<string>} transforms - Transform names
+     * @returns {string} Transformed filename
+     */
+    transformFilename(filename, extension, transforms = []) {
+        if (transforms.length === 0) return filename;
 
-        // Dot rules
-        if (trimmedName.startsWith('.') || trimmedName.endsWith('.')) {
-            errors.push('Filename cannot start or end with a dot');
+        if (extension && filename.endsWith(extension)) {
+            const baseName = filename.substring(0, filename.length - extension.length);
+            return this.applyTransforms(baseName, transforms) + extension;
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        return this.applyTransforms(filename, transforms);
+    }
+
+    /**
+     * Validate filename against the rules of the selected target profile
+     * @param {string} filename - Filename to validate
+     * @returns {Object} Validation result; each error names the rule it breaks
+     */
+    validateFilename(filename) {
+        return this.filenameRules.validate(filename);
     }
 }
 
@@ -0,0 +1,300 @@
+/**
+ * RulePipeline - Runs an ordered list of simple rename rules over each file name
+ * Rules work on the base name, except the extension rule; disabled rules are skipped
+ */
+class RulePipeline {
+    /**
+     * @param {Object} transformer - Object with applyTransforms(text, names), getTransformNames() and
+     *                               validateNumbering(numbering, padding, count) (normally the FileRenamer)
+     * @param {PatternCompiler} patternCompiler - Used for number formats and automatic padding
+     * @param {ExtensionParser} extensionParser - Used by the extension rule
+     */
+    constructor(transformer = null, patternCompiler = null, extensionParser = null) {
+        this.transformer = transformer;
+        this.patternCompiler = patternCompiler || new PatternCompiler(transformer);
+        this.extensionParser = extensionParser || new ExtensionParser();
+        this.ruleTypes = {
+            insert: {
+                label: 'Insert text',
+                fields: [
+                    { name: 'text', label: 'Text', type: 'text', default: '' },
+                    { name: 'position', label: 'At position', type: 'number', default: 0 },
+                    { name: 'fromEnd', label: 'Count from the end', type: 'checkbox', default: false }
+                ]
+            },
+            remove: {
+                label: 'Remove characters',
+                fields: [
+                    { name: 'position', label: 'From position', type: 'number', default: 0 },
+                    { name: 'count', label: 'Characters', type: 'number', default: 1 },
+                    { name: 'fromEnd', label: 'Count from the end', type: 'checkbox', default: false }
+                ]
+            },
+            replace: {
+                label: 'Replace text',
+                fields: [
+                    { name: 'find', label: 'Find', type: 'text', default: '' },
+                    { name: 'replace', label: 'Replace with', type: 'text', default: '' },
+                    { name: 'matchCase', label: 'Match case', type: 'checkbox', default: false },
+                    { name: 'all', label: 'Every occurrence', type: 'checkbox', default: true }
+                ]
+            },
+            trim: {
+                label: 'Trim',
+                fields: [
+                    { name: 'characters', label: 'Also trim these characters', type: 'text', default: '' },
+                    { name: 'maxLength', label: 'Shorten to (0 = no limit)', type: 'number', default: 0 }
+                ]
+            },
+            case: {
+                label: 'Change case',
+                fields: [
+                    { name: 'transform', label: 'Case', type: 'select', choices: () => this.getTransformNames(), default: 'lower' }
+                ]
+            },
+            number: {
+                label: 'Add number',
+                fields: [
+                    { name: 'position', label: 'Position', type: 'select', choices: ['end', 'start'], default: 'end' },
+                    { name: 'separator', label: 'Separator', type: 'text', default: '_' },
+                    { name: 'start', label: 'Start', type: 'number', default: 1 },
+                    { name: 'step', label: 'Increment', type: 'number', default: 1 },
+                    { name: 'pad', label: 'Padding (auto or digits)', type: 'text', default: 'auto' },
+                    { name: 'format', label: 'Format', type: 'select', choices: () => this.patternCompiler.numberFormats, default: 'decimal' }
+                ]
+            },
+            extension: {
+                label: 'Change extension',
+                fields: [
+                    { name: 'mode', label: 'Extension', type: 'select', choices: ['keep', 'lower', 'normalize', 'replace', 'remove'], default: 'lower' },
+                    { name: 'replacement', label: 'New extension', type: 'text', default: '' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Get the rule types with their option fields for the rule editor
+     * @returns {Array<Object>} Types as { type, label, fields } with select choices resolved
+     */
+    getRuleTypes() {
+        return Object.entries(this.ruleTypes).map(([type, definition]) => ({
+            type,
+            label: definition.label,
+            fields: definition.fields.map(field => ({
+                ...field,
+                choices: typeof field.choices === 'function' ? field.choices() : field.choices
+            }))
+        }));
+    }
+
+    /**
+     * Create a rule of the given type with default options
+     * @param {string} type - Rule type
+     * @returns {Object} Rule as { type, enabled, options }
+     */
+    createRule(type) {
+        const definition = this.ruleTypes[type];
+        if (!definition) {
+            throw new Error(`Unknown rule type: ${type}`);
+        }
+
+        const options = {};
+        definition.fields.forEach(field => {
+            options[field.name] = field.default;
+        });
+
+        return { type, enabled: true, options };
+    }
+
+    /**
+     * Get the names of the text transforms the case rule can use
+     * @returns {Array<string>} Transform names
+     */
+    getTransformNames() {
+        return this.transformer ? this.transformer.getTransformNames() : [];
+    }
+
+    /**
+     * Validate a rule list
+     * @param {Array<Object>} rules - Rules as { type, enabled, options }
+     * @param {number} count - Number of files the rules number (the largest group when counters reset per group)
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validate(rules, count = 1) {
+        const errors = [];
+
+        if (!Array.isArray(rules) || rules.length === 0) {
+            return { isValid: false, errors: ['Add at least one rule'] };
+        }
+
+        rules.forEach((rule, index) => {
+            const definition = this.ruleTypes[rule.type];
+            if (!definition) {
+                errors.push(`Rule ${index + 1}: unknown rule type "${rule.type}"`);
+                return;
+            }
+            if (rule.enabled === false) return;
+
+            const options = this.getOptions(rule);
+            const fail = message => errors.push(`Rule ${index + 1} (${definition.label}): ${message}`);
+            const wholeNumber = (name, label, min) => {
+                if (!Number.isInteger(options[name]) || options[name] < min) {
+                    fail(`${label} must be a whole number of ${min} or more`);
+                }
+            };
+
+            switch (rule.type) {
+                case 'insert':
+                    wholeNumber('position', 'Position', 0);
+                    break;
+                case 'remove':
+                    wholeNumber('position', 'Position', 0);
+                    wholeNumber('count', 'Characters', 1);
+                    break;
+                case 'replace':
+                    if (options.find === '') fail('Find text cannot be empty');
+                    break;
+                case 'trim':
+                    wholeNumber('maxLength', 'Length', 0);
+                    break;
+                case 'case':
+                    if (!this.getTransformNames().includes(options.transform)) {
+                        fail(`Unknown case "${options.transform}" (use ${this.getTransformNames().join(', ')})`);
+                    }
+                    break;
+                case 'number': {
+                    // The same checks as the numbering options of a pattern, including the format's range
+                    const pad = options.pad === 'auto' ? 'auto' : /^\d+$/.test(String(options.pad)) ? parseInt(options.pad, 10) : NaN;
+                    const numbering = { start: options.start, step: options.step, format: options.format };
+                    const validation = this.transformer ? this.transformer.validateNumbering(numbering, pad, count) : { errors: [] };
+                    validation.errors.forEach(fail);
+                    break;
+                }
+                case 'extension':
+                    if (options.mode === 'replace' && options.replacement.trim() === '') {
+                        fail('Enter the new extension, or choose "remove"');
+                    }
+                    break;
+            }
+        });
+
+        if (errors.length === 0 && !rules.some(rule => rule.enabled !== false)) {
+            errors.push('Enable at least one rule');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Check whether the enabled rules add a sequence number
+     * @param {Array<Object>} rules - Rule list
+     * @returns {boolean} True if an enabled number rule exists
+     */
+    hasNumber(rules) {
+        return (rules || []).some(rule => rule.enabled !== false && rule.type === 'number');
+    }
+
+    /**
+     * Fill in defaults for options a rule does not set
+     * @param {Object} rule - Rule as { type, enabled, options }
+     * @returns {Object} Complete options
+     */
+    getOptions(rule) {
+        return { ...this.createRule(rule.type).options, ...(rule.options || {}) };
+    }
+
+    /**
+     * Run the enabled rules in order over a file name
+     * @param {Array<Object>} rules - Rule list
+     * @param {Object} context - Name and numbering context
+     * @param {string} context.baseName - Name without extension
+     * @param {string} context.extension - Extension (with dot)
+     * @param {number} context.index - Sequential position (1-based) for the number rule
+     * @param {number} context.total - Number of files being numbered, for automatic padding
+     * @param {number} context.paddingTotal - Largest group size when counters restart per group
+     * @returns {string} New file name
+     */
+    apply(rules, context) {
+        let { baseName = '', extension = '' } = context;
+
+        rules.forEach(rule => {
+            if (rule.enabled === false || !this.ruleTypes[rule.type]) return;
+
+            const options = this.getOptions(rule);
+            if (rule.type === 'extension') {
+                extension = this.extensionParser.rewrite(extension, { mode: options.mode, replacement: options.replacement });
+            } else {
+                baseName = this.applyRule(rule.type, options, baseName, context);
+            }
+        });
+
+        return baseName + extension;
+    }
+
+    /**
+     * Apply a single base-name rule
+     * Positions count characters (code points), so emoji and accented letters count once.
+     * @param {string} type - Rule type
+     * @param {Object} options - Complete rule options
+     * @param {string} text - Current base name
+     * @param {Object} context - Numbering context (see apply)
+     * @returns {string} Updated base name
+     */
+    applyRule(type, options, text, context) {
+        const chars = [...text];
+        const offset = (position) => {
+            const clamped = Math.min(position, chars.length);
+            return options.fromEnd ? chars.length - clamped : clamped;
+        };
+
+        switch (type) {
+            case 'insert': {
+                const at = offset(options.position);
+                return chars.slice(0, at).join('') + options.text + chars.slice(at).join('');
+            }
+            case 'remove': {
+                // Counting from the end removes the characters before the position
+                const at = offset(options.position);
+                const from = options.fromEnd ? Math.max(at - options.count, 0) : at;
+                return chars.slice(0, from).join('') + chars.slice(from + options.count).join('');
+            }
+            case 'replace': {
+                const escaped = options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const flags = (options.all ? 'g' : '') + (options.matchCase ? '' : 'i');
+                return text.replace(new RegExp(escaped, flags), () => options.replace);
+            }
+            case 'trim': {
+                const extra = [...options.characters].map(char => char.replace(/[\]\\^-]/g, '\\$&')).join('');
+                const edges = new RegExp(`^[\\s${extra}]+|[\\s${extra}]+$`, 'gu');
+                const trimmed = [...text.replace(edges, '')];
+                // Shortening can expose a space or separator at the new end
+                return options.maxLength > 0 ? trimmed.slice(0, options.maxLength).join('').replace(edges, '') : trimmed.join('');
+            }
+            case 'case':
+                return this.transformer ? this.transformer.applyTransforms(text, [options.transform]) : text;
+            case 'number': {
+                const { index = 1 } = context;
+                const total = Math.max(context.total ?? index, 1);
+                const value = options.start + (index - 1) * options.step;
+                const pad = options.pad === 'auto'
+                    ? this.patternCompiler.getAutoPadding(options.start, options.step, Math.max(context.paddingTotal ?? total, total), options.format)
+                    : parseInt(options.pad, 10);
+                const number = this.patternCompiler.formatNumber(value, options.format, pad);
+                return options.position === 'start'
+                    ? number + options.separator + text
+                    : text + options.separator + number;
+            }
+            default:
+                return text;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RulePipeline;
+}
\ No newline at end of file
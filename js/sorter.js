@@ -1,6 +1,6 @@
 /**
- * FileSorter - Handles file sorting by size or creation date
- * Provides various sorting options and formatting utilities
+ * FileSorter - Handles file sorting by size, date, name or content metadata (capture time, tags)
+ * Provides various sorting options, filters and formatting utilities
  */
 class FileSorter {
     constructor() {
@@ -8,55 +8,214 @@ class FileSorter {
             'size-asc': { field: 'size', order: 'asc', label: 'Size (smallest to largest)' },
             'size-desc': { field: 'size', order: 'desc', label: 'Size (largest to smallest)' },
             'date-asc': { field: 'creationTime', order: 'asc', label: 'Creation Date (oldest first)' },
-            'date-desc': { field: 'creationTime', order: 'desc', label: 'Creation Date (newest first)' }
+            'date-desc': { field: 'creationTime', order: 'desc', label: 'Creation Date (newest first)' },
+            'modified-asc': { field: 'lastModified', order: 'asc', label: 'Last Modified (oldest first)' },
+            'modified-desc': { field: 'lastModified', order: 'desc', label: 'Last Modified (newest first)' },
+            'name-asc': { field: 'name', order: 'asc', caseSensitive: false, label: 'Name (A to Z)' },
+            'name-desc': { field: 'name', order: 'desc', caseSensitive: false, label: 'Name (Z to A)' },
+            'name-case-asc': { field: 'name', order: 'asc', caseSensitive: true, label: 'Name, case-sensitive (A to Z)' },
+            'name-case-desc': { field: 'name', order: 'desc', caseSensitive: true, label: 'Name, case-sensitive (Z to A)' },
+            'extension-asc': { field: 'extension', order: 'asc', label: 'Extension (A to Z)' },
+            'extension-desc': { field: 'extension', order: 'desc', label: 'Extension (Z to A)' },
+            'taken-asc': { field: 'captureTime', order: 'asc', label: 'Capture Time, photo or video (oldest first)' },
+            'taken-desc': { field: 'captureTime', order: 'desc', label: 'Capture Time, photo or video (newest first)' },
+            'artist-asc': { field: 'metadata', metadata: 'artist', order: 'asc', label: 'Artist (A to Z)' },
+            'artist-desc': { field: 'metadata', metadata: 'artist', order: 'desc', label: 'Artist (Z to A)' },
+            'album-asc': { field: 'metadata', metadata: 'album', order: 'asc', label: 'Album (A to Z)' },
+            'album-desc': { field: 'metadata', metadata: 'album', order: 'desc', label: 'Album (Z to A)' },
+            'track-asc': { field: 'metadata', metadata: 'track', order: 'asc', label: 'Track Number (first to last)' },
+            'track-desc': { field: 'metadata', metadata: 'track', order: 'desc', label: 'Track Number (last to first)' },
+            'title-asc': { field: 'metadata', metadata: 'title', order: 'asc', label: 'Title (A to Z)' },
+            'title-desc': { field: 'metadata', metadata: 'title', order: 'desc', label: 'Title (Z to A)' },
+            'author-asc': { field: 'metadata', metadata: 'author', order: 'asc', label: 'Author (A to Z)' },
+            'author-desc': { field: 'metadata', metadata: 'author', order: 'desc', label: 'Author (Z to A)' },
+            'duration-asc': { field: 'metadata', metadata: 'duration', order: 'asc', label: 'Duration (shortest first)' },
+            'duration-desc': { field: 'metadata', metadata: 'duration', order: 'desc', label: 'Duration (longest first)' },
+            'custom': { field: 'custom', order: 'asc', label: 'Custom order (drag rows in the preview)' }
         };
     }
 
     /**
-     * Sort files according to the specified option
+     * Sort files according to a chain of sort options
+     * Each option only decides between files the previous ones rank equal. A final
+     * tie-breaker on name and path makes the order the same on every run.
      * @param {Array} files - Array of file objects
-     * @param {string} sortOption - Sort option key (e.g., 'size-asc', 'date-desc')
+     * @param {string} sortOption - Primary sort option key (e.g., 'size-asc', 'name-desc')
+     * @param {Object} options - Sort settings
+     * @param {Array<string>} options.thenBy - Further sort option keys, in order
+     * @param {string} options.locale - Locale for name sorting ('' for the browser default)
+     * @param {Array<string>} options.customOrder - Relative paths in the order chosen by hand, for 'custom'
      * @returns {Array} Sorted array of files
      */
-    sortFiles(files, sortOption) {
+    sortFiles(files, sortOption, options = {}) {
         if (!Array.isArray(files) || files.length === 0) {
             return [];
         }
 
-        const option = this.sortOptions[sortOption];
-        if (!option) {
-            throw new Error(`Invalid sort option: ${sortOption}`);
-        }
+        const chain = [sortOption, ...(options.thenBy || [])].map(key => {
+            const option = this.sortOptions[key];
+            if (!option) {
+                throw new Error(`Invalid sort option: ${key}`);
+            }
+            return option;
+        });
+        const collators = {
+            name: this.createCollator(options.locale, false),
+            nameCase: this.createCollator(options.locale, true)
+        };
+        const positions = new Map((options.customOrder || []).map((path, index) => [path, index]));
 
         // Create a copy to avoid modifying the original array
         const sortedFiles = [...files];
 
         return sortedFiles.sort((a, b) => {
-            let valueA, valueB;
-
-            switch (option.field) {
-                case 'size':
-                    valueA = a.size || 0;
-                    valueB = b.size || 0;
-                    break;
-                case 'creationTime':
-                    // Use creationTime if available, fallback to lastModified
-                    valueA = a.creationTime || a.lastModified || 0;
-                    valueB = b.creationTime || b.lastModified || 0;
-                    break;
-                default:
-                    throw new Error(`Unknown sort field: ${option.field}`);
+            for (const option of chain) {
+                // Files without the metadata value (or not placed by hand) go last in either direction
+                const missing = this.compareMissing(a, b, option, positions);
+                if (missing !== 0) return missing;
+
+                const result = this.compareByOption(a, b, option, collators, positions);
+                if (result !== 0) {
+                    // Handle the sort order
+                    return option.order === 'asc' ? result : -result;
+                }
             }
 
-            // Handle the sort order
-            if (option.order === 'asc') {
-                return valueA - valueB;
-            } else {
-                return valueB - valueA;
-            }
+            return this.compareTieBreak(a, b, collators);
         });
     }
 
+    /**
+     * Compare two files on the field of a sort option (ascending)
+     * @param {Object} a - First file
+     * @param {Object} b - Second file
+     * @param {Object} option - Sort option from sortOptions
+     * @param {Object} collators - { name, nameCase } collators from createCollator
+     * @param {Map} positions - Position of each relative path in the custom order
+     * @returns {number} Negative, zero or positive
+     */
+    compareByOption(a, b, option, collators, positions) {
+        switch (option.field) {
+            case 'size':
+                return (a.size || 0) - (b.size || 0);
+            case 'creationTime':
+                // getFileMetadata already falls back to lastModified where creation time is not available
+                return (a.creationTime || 0) - (b.creationTime || 0);
+            case 'lastModified':
+                return (a.lastModified || 0) - (b.lastModified || 0);
+            case 'name':
+                return (option.caseSensitive ? collators.nameCase : collators.name).compare(a.name || '', b.name || '');
+            case 'extension':
+                return collators.name.compare(a.extension || '', b.extension || '');
+            case 'captureTime':
+                return this.getCaptureTime(a) - this.getCaptureTime(b);
+            case 'metadata': {
+                const valueA = a.metadata?.[option.metadata];
+                const valueB = b.metadata?.[option.metadata];
+                if (valueA === undefined || valueB === undefined) return 0;
+                return typeof valueA === 'number' && typeof valueB === 'number'
+                    ? valueA - valueB
+                    : collators.name.compare(String(valueA), String(valueB));
+            }
+            case 'custom': {
+                const positionA = positions.get(this.getPath(a));
+                const positionB = positions.get(this.getPath(b));
+                if (positionA === undefined || positionB === undefined) return 0;
+                return positionA - positionB;
+            }
+            default:
+                throw new Error(`Unknown sort field: ${option.field}`);
+        }
+    }
+
+    /**
+     * Put files that lack the metadata value of a sort option after those that have it
+     * For the custom order, files that were not placed by hand (e.g. new after a re-scan) go last.
+     * @param {Object} a - First file
+     * @param {Object} b - Second file
+     * @param {Object} option - Sort option from sortOptions
+     * @param {Map} positions - Position of each relative path in the custom order
+     * @returns {number} Negative, zero or positive (not reversed for descending order)
+     */
+    compareMissing(a, b, option, positions) {
+        let hasA;
+        let hasB;
+        if (option.field === 'metadata') {
+            hasA = a.metadata?.[option.metadata] !== undefined;
+            hasB = b.metadata?.[option.metadata] !== undefined;
+        } else if (option.field === 'custom') {
+            hasA = positions.has(this.getPath(a));
+            hasB = positions.has(this.getPath(b));
+        } else {
+            return 0;
+        }
+        return hasA === hasB ? 0 : hasA ? -1 : 1;
+    }
+
+    /**
+     * Get the key a file is known by in the custom order
+     * @param {Object} file - File object
+     * @returns {string} Relative path (the name for files in the selected folder itself)
+     */
+    getPath(file) {
+        return file.path || file.name || '';
+    }
+
+    /**
+     * Get when a photo or video was taken, falling back to the file's creation date
+     * @param {Object} file - File object, with metadata from FileSystemManager.loadMetadata
+     * @returns {number} Unix timestamp in milliseconds
+     */
+    getCaptureTime(file) {
+        return file.metadata?.taken || file.creationTime || 0;
+    }
+
+    /**
+     * Check whether a sort chain needs content metadata
+     * @param {Array<string>} sortKeys - Sort option keys
+     * @returns {boolean} True if a key sorts by capture time or a metadata field
+     */
+    usesMetadata(sortKeys) {
+        return sortKeys.some(key => ['captureTime', 'metadata'].includes(this.sortOptions[key]?.field));
+    }
+
+    /**
+     * Order files that every sort option ranks equal
+     * Name (natural, then case-sensitive), then the relative path, which is unique within a scan.
+     * @param {Object} a - First file
+     * @param {Object} b - Second file
+     * @param {Object} collators - { name, nameCase } collators from createCollator
+     * @returns {number} Negative, zero or positive
+     */
+    compareTieBreak(a, b, collators) {
+        const byName = collators.name.compare(a.name || '', b.name || '') ||
+            collators.nameCase.compare(a.name || '', b.name || '');
+        if (byName !== 0) return byName;
+
+        const pathA = this.getPath(a);
+        const pathB = this.getPath(b);
+        return pathA < pathB ? -1 : pathA > pathB ? 1 : 0;
+    }
+
+    /**
+     * Create a collator for natural name sorting (img2 before img10)
+     * @param {string} locale - BCP 47 locale tag ('' or unsupported tags use the browser default)
+     * @param {boolean} caseSensitive - Distinguish upper and lower case (upper case first)
+     * @returns {Intl.Collator} Collator
+     */
+    createCollator(locale = '', caseSensitive = false) {
+        const collatorOptions = caseSensitive
+            ? { numeric: true, sensitivity: 'variant', caseFirst: 'upper' }
+            : { numeric: true, sensitivity: 'accent' };
+
+        try {
+            return new Intl.Collator(locale || undefined, collatorOptions);
+        } catch (error) {
+            // Invalid locale tag, e.g. from an edited preset
+            return new Intl.Collator(undefined, collatorOptions);
+        }
+    }
+
     /**
      * Get all available sort options
      * @returns {Object} Sort options object
@@ -329,6 +488,68 @@ class FileSorter {
         return groups;
     }
 
+    /**
+     * Group files by the calendar day they were created (local time)
+     * @param {Array} files - Array of file objects
+     * @returns {Object} Files grouped by YYYY-MM-DD
+     */
+    groupByDay(files) {
+        const groups = {};
+
+        files.forEach(file => {
+            const date = new Date(file.creationTime || file.lastModified);
+            const day = [
+                date.getFullYear(),
+                String(date.getMonth() + 1).padStart(2, '0'),
+                String(date.getDate()).padStart(2, '0')
+            ].join('-');
+            if (!groups[day]) {
+                groups[day] = [];
+            }
+            groups[day].push(file);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Group files by the subfolder they live in
+     * @param {Array} files - Array of file objects
+     * @returns {Object} Files grouped by folder path ('' for the selected folder itself)
+     */
+    groupByFolder(files) {
+        const groups = {};
+
+        files.forEach(file => {
+            const folder = file.folderPath || '';
+            if (!groups[folder]) {
+                groups[folder] = [];
+            }
+            groups[folder].push(file);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Group files by one of the supported keys
+     * @param {Array} files - Array of file objects
+     * @param {string} groupBy - 'extension', 'day' or 'folder'
+     * @returns {Object} Files grouped by key
+     */
+    groupFiles(files, groupBy) {
+        switch (groupBy) {
+            case 'extension':
+                return this.groupByExtension(files);
+            case 'day':
+                return this.groupByDay(files);
+            case 'folder':
+                return this.groupByFolder(files);
+            default:
+                return { '': [...files] };
+        }
+    }
+
     /**
      * Search files by name (case-insensitive)
      * @param {Array} files - Array of file objects
@@ -346,6 +567,90 @@ class FileSorter {
             return file.name.toLowerCase().includes(term);
         });
     }
+
+    /**
+     * Filter files by glob patterns such as *.jpg or !*_edited.* (case-insensitive)
+     * Patterns starting with ! exclude files. When there are other patterns, a file must match one of them.
+     * Patterns with a / are matched against the relative path, the others against the name.
+     * @param {Array} files - Array of file objects
+     * @param {Array<string>} patterns - Glob patterns (* any characters, ? one character, ** across folders)
+     * @returns {Array} Filtered array of files
+     */
+    filterByGlob(files, patterns) {
+        const compile = pattern => ({ regex: this.globToRegExp(pattern), matchPath: pattern.includes('/') });
+        const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(compile);
+        const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => compile(pattern.substring(1)));
+        const matches = (file, glob) => glob.regex.test(glob.matchPath ? (file.path || file.name) : file.name);
+
+        return files.filter(file => {
+            if (includes.length > 0 && !includes.some(glob => matches(file, glob))) return false;
+            return !excludes.some(glob => matches(file, glob));
+        });
+    }
+
+    /**
+     * Turn a glob pattern into a regular expression for the whole name
+     * @param {string} glob - Glob pattern
+     * @returns {RegExp} Case-insensitive regular expression
+     */
+    globToRegExp(glob) {
+        const source = glob.replace(/\*\*\/?|\*|\?|[.+^${}()|[\]\\]/g, token => {
+            if (token === '**/') return '(?:.*/)?';
+            if (token === '**') return '.*';
+            if (token === '*') return '[^/]*';
+            if (token === '?') return '[^/]';
+            return '\\' + token;
+        });
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * Filter files by MIME type as reported by the browser
+     * @param {Array} files - Array of file objects
+     * @param {Array<string>} mimeTypes - Types such as image/jpeg, or a family such as image/*
+     * @returns {Array} Filtered array of files (files of unknown type are left out)
+     */
+    filterByMimeType(files, mimeTypes) {
+        const types = mimeTypes.map(type => type.trim().toLowerCase());
+
+        return files.filter(file => {
+            const fileType = (file.type || '').toLowerCase();
+            if (fileType === '') return false;
+            return types.some(type => type.endsWith('/*')
+                ? fileType.startsWith(type.slice(0, -1))
+                : fileType === type);
+        });
+    }
+
+    /**
+     * Apply every set filter; unset criteria let all files through
+     * @param {Array} files - Array of file objects
+     * @param {Object} filters - Filter criteria
+     * @param {number} filters.minSize - Minimum size in bytes
+     * @param {number} filters.maxSize - Maximum size in bytes
+     * @param {Date} filters.startDate - Earliest creation date
+     * @param {Date} filters.endDate - Latest creation date
+     * @param {Array<string>} filters.extensions - Extensions to include
+     * @param {string} filters.search - Text the name must contain
+     * @param {Array<string>} filters.globs - Include and !exclude glob patterns
+     * @param {Array<string>} filters.mimeTypes - MIME types to include
+     * @returns {Array} Filtered array of files
+     */
+    applyFilters(files, filters = {}) {
+        let result = this.filterBySize(files, filters.minSize ?? 0, filters.maxSize ?? Infinity);
+        result = this.filterByDate(result, filters.startDate || null, filters.endDate || null);
+        if (filters.extensions && filters.extensions.length > 0) {
+            result = this.filterByExtension(result, filters.extensions);
+        }
+        result = this.searchByName(result, filters.search);
+        if (filters.globs && filters.globs.length > 0) {
+            result = this.filterByGlob(result, filters.globs);
+        }
+        if (filters.mimeTypes && filters.mimeTypes.length > 0) {
+            result = this.filterByMimeType(result, filters.mimeTypes);
+        }
+        return result;
+    }
 }
 
 // Export for use in other modules
@@ -9,16 +9,63 @@ class UIManager {
         this.elements = {};
         this.state = {
             selectedFolder: null,
+            includeSubfolders: false,
             files: [],
             sortedFiles: [],
             config: {
                 sortBy: 'size-asc',
+                sortThenBy: [],
+                sortLocale: '',
+                filterGlobs: '',
+                filterName: '',
+                filterExtensions: '',
+                filterMimeTypes: '',
+                filterMinSize: '',
+                filterMaxSize: '',
+                filterSizeUnit: 'kb',
+                filterDateFrom: '',
+                filterDateTo: '',
+                mode: 'pattern',
                 pattern: 'file_{number}',
-                padding: 3
+                padding: 3,
+                startNumber: 1,
+                step: 1,
+                descending: false,
+                numberFormat: 'decimal',
+                counterGroup: '',
+                counterScope: 'independent',
+                regexFind: '',
+                regexReplace: '',
+                regexFlags: 'g',
+                caseTransform: '',
+                stripDiacritics: false,
+                normalizeNfc: false,
+                extensionMode: 'keep',
+                extensionReplacement: '',
+                compoundExtensions: '.tar.gz, .tar.bz2, .tar.xz, .tar.zst, .tar.lz',
+                targetProfile: 'windows',
+                sanitizeNames: false,
+                collisionStrategy: 'bump',
+                duplicateMode: '',
+                duplicateFolder: 'duplicates',
+                rules: []
             },
+            overrides: {},
+            customOrder: [],
+            mapping: null,
+            patternValidation: null,
+            regexValidation: null,
+            numberingValidation: null,
             previewData: [],
             operationResult: null
         };
+        this.overrideInputs = new Map();
+        // Latest override validation requested per row: { newName, resolve }
+        this.overrideValidations = new Map();
+        this.ruleTypes = [];
+        // Row being dragged in the custom order, and the row whose handle gets focus after a move
+        this.draggedPath = null;
+        this.focusPathAfterPreview = null;
 
         this.initializeElements();
         this.attachEventListeners();
@@ -33,6 +80,11 @@ class UIManager {
         this.elements.appContainer = document.querySelector('.app-container');
         this.elements.browserWarning = document.getElementById('browser-compatibility-warning');
 
+        // Undo panel
+        this.elements.undoPanel = document.getElementById('undo-panel');
+        this.elements.undoLastBtn = document.getElementById('undo-last-btn');
+        this.elements.undoResult = document.getElementById('undo-result');
+
         // Step containers
         this.elements.steps = {
             1: document.getElementById('step-1'),
@@ -43,26 +95,91 @@ class UIManager {
 
         // Step 1: Folder Selection
         this.elements.selectFolderBtn = document.getElementById('select-folder-btn');
+        this.elements.includeSubfoldersCheckbox = document.getElementById('include-subfolders-checkbox');
         this.elements.folderInfo = document.getElementById('folder-info');
         this.elements.folderError = document.getElementById('folder-error');
 
         // Step 2: Configuration
+        this.elements.filterPanel = document.getElementById('filter-panel');
+        this.elements.filterInputs = this.elements.filterPanel.querySelectorAll('[data-filter]');
+        this.elements.filterCount = document.getElementById('filter-count');
+        this.elements.filterError = document.getElementById('filter-error');
         this.elements.sortSelect = document.getElementById('sort-select');
+        this.elements.sortChainList = document.getElementById('sort-chain-list');
+        this.elements.addSortKeyBtn = document.getElementById('add-sort-key-btn');
+        this.elements.sortLocaleGroup = document.getElementById('sort-locale-group');
+        this.elements.sortLocaleSelect = document.getElementById('sort-locale-select');
+        this.elements.modeSelect = document.getElementById('mode-select');
+        this.elements.modeGroups = document.querySelectorAll('#step-2 [data-mode]');
+        this.elements.regexFindInput = document.getElementById('regex-find-input');
+        this.elements.regexReplaceInput = document.getElementById('regex-replace-input');
+        this.elements.regexFlagsInput = document.getElementById('regex-flags-input');
+        this.elements.regexError = document.getElementById('regex-error');
+        this.elements.presetSelect = document.getElementById('preset-select');
+        this.elements.loadPresetBtn = document.getElementById('load-preset-btn');
+        this.elements.deletePresetBtn = document.getElementById('delete-preset-btn');
+        this.elements.presetNameInput = document.getElementById('preset-name-input');
+        this.elements.savePresetBtn = document.getElementById('save-preset-btn');
+        this.elements.sharePresetBtn = document.getElementById('share-preset-btn');
+        this.elements.exportPresetsBtn = document.getElementById('export-presets-btn');
+        this.elements.importPresetsInput = document.getElementById('import-presets-input');
+        this.elements.presetLink = document.getElementById('preset-link');
+        this.elements.presetStatus = document.getElementById('preset-status');
+        this.elements.presetError = document.getElementById('preset-error');
+        this.elements.ruleList = document.getElementById('rule-list');
+        this.elements.ruleTypeSelect = document.getElementById('rule-type-select');
+        this.elements.addRuleBtn = document.getElementById('add-rule-btn');
+        this.elements.mappingFileInput = document.getElementById('mapping-file-input');
+        this.elements.mappingStatus = document.getElementById('mapping-status');
+        this.elements.mappingError = document.getElementById('mapping-error');
         this.elements.patternInput = document.getElementById('pattern-input');
         this.elements.paddingSelect = document.getElementById('padding-select');
         this.elements.patternError = document.getElementById('pattern-error');
+        this.elements.patternHighlight = document.getElementById('pattern-highlight');
+        this.elements.startNumberInput = document.getElementById('start-number-input');
+        this.elements.stepInput = document.getElementById('step-input');
+        this.elements.descendingCheckbox = document.getElementById('descending-checkbox');
+        this.elements.numberFormatSelect = document.getElementById('number-format-select');
+        this.elements.numberingError = document.getElementById('numbering-error');
+        this.elements.counterGroupSelect = document.getElementById('counter-group-select');
+        this.elements.counterScopeSelect = document.getElementById('counter-scope-select');
+        this.elements.caseSelect = document.getElementById('case-select');
+        this.elements.stripDiacriticsCheckbox = document.getElementById('strip-diacritics-checkbox');
+        this.elements.normalizeNfcCheckbox = document.getElementById('normalize-nfc-checkbox');
+        this.elements.extensionModeSelect = document.getElementById('extension-mode-select');
+        this.elements.extensionReplaceInput = document.getElementById('extension-replace-input');
+        this.elements.compoundExtensionsInput = document.getElementById('compound-extensions-input');
+        this.elements.targetProfileSelect = document.getElementById('target-profile-select');
+        this.elements.sanitizeNamesCheckbox = document.getElementById('sanitize-names-checkbox');
+        this.elements.collisionStrategySelect = document.getElementById('collision-strategy-select');
+        this.elements.duplicateModeSelect = document.getElementById('duplicate-mode-select');
+        this.elements.duplicateFolderInput = document.getElementById('duplicate-folder-input');
 
         // Step 3: Preview
         this.elements.refreshPreviewBtn = document.getElementById('refresh-preview-btn');
+        this.elements.clearOverridesBtn = document.getElementById('clear-overrides-btn');
+        this.elements.exportCsvBtn = document.getElementById('export-csv-btn');
+        this.elements.exportJsonBtn = document.getElementById('export-json-btn');
         this.elements.fileCountDisplay = document.getElementById('file-count-display');
         this.elements.previewTable = document.getElementById('preview-table');
         this.elements.previewTbody = document.getElementById('preview-tbody');
+        this.elements.customOrderHint = document.getElementById('custom-order-hint');
         this.elements.validationErrors = document.getElementById('validation-errors');
         this.elements.collisionWarnings = document.getElementById('collision-warnings');
+        this.elements.previewWarnings = document.getElementById('preview-warnings');
+        this.elements.hashProgress = document.getElementById('hash-progress');
+        this.elements.hashProgressFill = document.getElementById('hash-progress-fill');
+        this.elements.hashProgressText = document.getElementById('hash-progress-text');
+        this.elements.cancelHashBtn = document.getElementById('cancel-hash-btn');
 
         // Step 4: Execution
         this.elements.filesToRenameCount = document.getElementById('files-to-rename-count');
         this.elements.executeRenameBtn = document.getElementById('execute-rename-btn');
+        this.elements.stalePreview = document.getElementById('stale-preview');
+        this.elements.batchControls = document.getElementById('batch-controls');
+        this.elements.pauseRenameBtn = document.getElementById('pause-rename-btn');
+        this.elements.resumeRenameBtn = document.getElementById('resume-rename-btn');
+        this.elements.cancelRenameBtn = document.getElementById('cancel-rename-btn');
         this.elements.progressContainer = document.getElementById('progress-container');
         this.elements.progressFill = document.getElementById('progress-fill');
         this.elements.progressText = document.getElementById('progress-text');
@@ -82,23 +199,230 @@ class UIManager {
         this.elements.nextBtn.addEventListener('click', () => this.nextStep());
 
         // Step 1
+        this.elements.includeSubfoldersCheckbox.addEventListener('change', () => {
+            this.state.includeSubfolders = this.elements.includeSubfoldersCheckbox.checked;
+        });
+
         this.elements.selectFolderBtn.addEventListener('click', () => {
             this.onSelectFolder();
         });
 
         // Step 2
+        // Every filter field names its config key in data-filter
+        this.elements.filterPanel.addEventListener('input', (e) => {
+            if (!e.target.dataset.filter) return;
+            this.state.config[e.target.dataset.filter] = e.target.value;
+            this.validateFilters();
+            this.sortFiles();
+        });
+
         this.elements.sortSelect.addEventListener('change', () => {
             this.state.config.sortBy = this.elements.sortSelect.value;
+            this.resetCustomOrder();
+            this.updateSortLocaleVisibility();
+            this.sortFiles();
+        });
+
+        this.elements.addSortKeyBtn.addEventListener('click', () => {
+            this.addSortKey();
+        });
+
+        this.elements.sortChainList.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-sort-index]');
+            if (!item || e.target.tagName !== 'SELECT') return;
+            this.state.config.sortThenBy[Number(item.dataset.sortIndex)] = e.target.value;
+            this.updateSortLocaleVisibility();
+            this.sortFiles();
+        });
+
+        this.elements.sortChainList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const item = e.target.closest('[data-sort-index]');
+            if (!button || !item) return;
+            this.changeSortChain(button.dataset.action, Number(item.dataset.sortIndex));
+        });
+
+        this.elements.sortLocaleSelect.addEventListener('change', () => {
+            this.state.config.sortLocale = this.elements.sortLocaleSelect.value;
             this.sortFiles();
         });
 
+        this.elements.modeSelect.addEventListener('change', () => {
+            this.state.config.mode = this.elements.modeSelect.value;
+            this.updateModeVisibility();
+            this.updateNavigationButtons();
+        });
+
+        // Presets
+        this.elements.presetSelect.addEventListener('change', () => {
+            const hasPreset = this.elements.presetSelect.value !== '';
+            this.elements.loadPresetBtn.disabled = !hasPreset;
+            this.elements.deletePresetBtn.disabled = !hasPreset;
+            if (hasPreset) {
+                this.elements.presetNameInput.value = this.elements.presetSelect.value;
+            }
+        });
+
+        this.elements.loadPresetBtn.addEventListener('click', () => {
+            this.dispatchPresetEvent('loadPreset');
+        });
+
+        this.elements.deletePresetBtn.addEventListener('click', () => {
+            this.dispatchPresetEvent('deletePreset');
+        });
+
+        this.elements.savePresetBtn.addEventListener('click', () => {
+            this.savePreset();
+        });
+
+        this.elements.presetNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.savePreset();
+        });
+
+        this.elements.sharePresetBtn.addEventListener('click', () => {
+            this.dispatchPresetEvent('sharePreset', {
+                name: this.elements.presetNameInput.value.trim(),
+                config: this.state.config
+            });
+        });
+
+        this.elements.exportPresetsBtn.addEventListener('click', () => {
+            this.dispatchPresetEvent('exportPresets');
+        });
+
+        this.elements.importPresetsInput.addEventListener('change', () => {
+            const file = this.elements.importPresetsInput.files[0];
+            if (file) {
+                this.importPresets(file);
+            }
+            this.elements.importPresetsInput.value = '';
+        });
+
+        this.elements.addRuleBtn.addEventListener('click', () => {
+            this.addRule(this.elements.ruleTypeSelect.value);
+        });
+
+        // Rule options are edited in place; only moving, removing or adding redraws the list
+        ['input', 'change'].forEach(type => {
+            this.elements.ruleList.addEventListener(type, (e) => {
+                const item = e.target.closest('[data-rule-index]');
+                if (!item || !e.target.dataset.field) return;
+                this.updateRuleOption(Number(item.dataset.ruleIndex), e.target);
+            });
+        });
+
+        this.elements.ruleList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const item = e.target.closest('[data-rule-index]');
+            if (!button || !item) return;
+            this.changeRuleList(button.dataset.action, Number(item.dataset.ruleIndex));
+        });
+
+        this.elements.mappingFileInput.addEventListener('change', () => {
+            const file = this.elements.mappingFileInput.files[0];
+            if (file) {
+                this.importMapping(file);
+            }
+        });
+
+        [this.elements.regexFindInput, this.elements.regexReplaceInput, this.elements.regexFlagsInput].forEach(input => {
+            input.addEventListener('input', () => {
+                this.state.config.regexFind = this.elements.regexFindInput.value;
+                this.state.config.regexReplace = this.elements.regexReplaceInput.value;
+                this.state.config.regexFlags = this.elements.regexFlagsInput.value.trim();
+                this.validateRegex();
+            });
+        });
+
         this.elements.patternInput.addEventListener('input', () => {
             this.state.config.pattern = this.elements.patternInput.value;
             this.validatePattern();
         });
 
+        // Clicking a pattern error selects the part of the pattern it refers to
+        this.elements.patternError.addEventListener('click', (e) => {
+            const link = e.target.closest('.diagnostic-link');
+            if (!link) return;
+            this.elements.patternInput.focus();
+            this.elements.patternInput.setSelectionRange(Number(link.dataset.start), Number(link.dataset.end));
+        });
+
         this.elements.paddingSelect.addEventListener('change', () => {
-            this.state.config.padding = parseInt(this.elements.paddingSelect.value);
+            const value = this.elements.paddingSelect.value;
+            this.state.config.padding = value === 'auto' ? 'auto' : parseInt(value);
+        });
+
+        [this.elements.startNumberInput, this.elements.stepInput].forEach(input => {
+            input.addEventListener('input', () => {
+                this.state.config.startNumber = Number(this.elements.startNumberInput.value);
+                this.state.config.step = Number(this.elements.stepInput.value);
+                this.validateNumbering();
+            });
+        });
+
+        this.elements.descendingCheckbox.addEventListener('change', () => {
+            this.state.config.descending = this.elements.descendingCheckbox.checked;
+        });
+
+        this.elements.numberFormatSelect.addEventListener('change', () => {
+            this.state.config.numberFormat = this.elements.numberFormatSelect.value;
+            this.validateNumbering();
+        });
+
+        this.elements.counterGroupSelect.addEventListener('change', () => {
+            this.state.config.counterGroup = this.elements.counterGroupSelect.value;
+            this.elements.counterScopeSelect.classList.toggle('hidden', this.state.config.counterGroup === '');
+        });
+
+        this.elements.counterScopeSelect.addEventListener('change', () => {
+            this.state.config.counterScope = this.elements.counterScopeSelect.value;
+        });
+
+        this.elements.caseSelect.addEventListener('change', () => {
+            this.state.config.caseTransform = this.elements.caseSelect.value;
+        });
+
+        this.elements.stripDiacriticsCheckbox.addEventListener('change', () => {
+            this.state.config.stripDiacritics = this.elements.stripDiacriticsCheckbox.checked;
+        });
+
+        this.elements.normalizeNfcCheckbox.addEventListener('change', () => {
+            this.state.config.normalizeNfc = this.elements.normalizeNfcCheckbox.checked;
+        });
+
+        this.elements.extensionModeSelect.addEventListener('change', () => {
+            this.state.config.extensionMode = this.elements.extensionModeSelect.value;
+            this.elements.extensionReplaceInput.classList.toggle('hidden', this.state.config.extensionMode !== 'replace');
+        });
+
+        this.elements.extensionReplaceInput.addEventListener('input', () => {
+            this.state.config.extensionReplacement = this.elements.extensionReplaceInput.value;
+        });
+
+        this.elements.compoundExtensionsInput.addEventListener('change', () => {
+            this.state.config.compoundExtensions = this.elements.compoundExtensionsInput.value;
+        });
+
+        this.elements.targetProfileSelect.addEventListener('change', () => {
+            this.state.config.targetProfile = this.elements.targetProfileSelect.value;
+            this.validatePattern();
+        });
+
+        this.elements.sanitizeNamesCheckbox.addEventListener('change', () => {
+            this.state.config.sanitizeNames = this.elements.sanitizeNamesCheckbox.checked;
+        });
+
+        this.elements.collisionStrategySelect.addEventListener('change', () => {
+            this.state.config.collisionStrategy = this.elements.collisionStrategySelect.value;
+        });
+
+        this.elements.duplicateModeSelect.addEventListener('change', () => {
+            this.state.config.duplicateMode = this.elements.duplicateModeSelect.value;
+            this.elements.duplicateFolderInput.classList.toggle('hidden', this.state.config.duplicateMode !== 'move');
+        });
+
+        this.elements.duplicateFolderInput.addEventListener('input', () => {
+            this.state.config.duplicateFolder = this.elements.duplicateFolderInput.value.trim();
         });
 
         // Step 3
@@ -106,13 +430,121 @@ class UIManager {
             this.generatePreview();
         });
 
+        // Handled by the app controller
+        this.elements.cancelHashBtn.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('cancelHashing'));
+        });
+
+        this.elements.exportCsvBtn.addEventListener('click', () => {
+            this.exportPlan('csv');
+        });
+
+        this.elements.exportJsonBtn.addEventListener('click', () => {
+            this.exportPlan('json');
+        });
+
+        this.elements.clearOverridesBtn.addEventListener('click', () => {
+            this.clearOverride(null);
+        });
+
+        // New Name cells are re-rendered on every preview, so listen on the table body
+        this.elements.previewTbody.addEventListener('input', (e) => {
+            if (e.target.classList.contains('new-name-input')) {
+                this.validateOverride(e.target.dataset.path, e.target.value);
+            }
+        });
+
+        this.elements.previewTbody.addEventListener('change', (e) => {
+            if (e.target.classList.contains('new-name-input')) {
+                this.setOverride(e.target.dataset.path, e.target.value);
+            }
+        });
+
+        this.elements.previewTbody.addEventListener('keydown', (e) => {
+            if (e.target.classList.contains('move-handle')) {
+                this.onMoveHandleKey(e);
+            } else if (e.target.classList.contains('new-name-input')) {
+                // Keep arrow keys inside the input instead of changing steps
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    e.target.blur();
+                } else if (e.key === 'Escape') {
+                    e.target.value = e.target.defaultValue;
+                    this.showOverrideValidation(e.target.dataset.path, { isValid: true, errors: [] });
+                }
+            }
+        });
+
+        this.elements.previewTbody.addEventListener('click', (e) => {
+            if (e.target.classList.contains('clear-override-btn')) {
+                this.clearOverride(e.target.dataset.path);
+            }
+        });
+
+        // Custom order: rows are dragged by their handle
+        this.elements.previewTbody.addEventListener('dragstart', (e) => {
+            const handle = e.target.closest('.move-handle');
+            if (!handle) return;
+            const row = handle.closest('tr');
+            this.draggedPath = handle.dataset.path;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedPath);
+            e.dataTransfer.setDragImage(row, 0, 0);
+            row.classList.add('dragging');
+        });
+
+        this.elements.previewTbody.addEventListener('dragover', (e) => {
+            const row = e.target.closest('tr[data-path]');
+            if (this.draggedPath === null || !row) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const after = this.isDropAfter(row, e.clientY);
+            this.clearDropMarkers();
+            row.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        this.elements.previewTbody.addEventListener('drop', (e) => {
+            const row = e.target.closest('tr[data-path]');
+            if (this.draggedPath === null || !row) return;
+            e.preventDefault();
+            const target = this.getRowIndex(row.dataset.path);
+            const from = this.getRowIndex(this.draggedPath);
+            // Dropping on the lower half of a row places the file after it
+            let index = target + (this.isDropAfter(row, e.clientY) ? 1 : 0);
+            if (from < index) index--;
+            this.moveFile(this.draggedPath, index);
+        });
+
+        this.elements.previewTbody.addEventListener('dragend', () => {
+            this.draggedPath = null;
+            this.clearDropMarkers();
+            this.elements.previewTbody.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+        });
+
         // Step 4
         this.elements.executeRenameBtn.addEventListener('click', () => {
             this.executeRename();
         });
 
-        // Keyboard navigation
+        // Pause, resume and cancel are handled by the app controller
+        [
+            [this.elements.pauseRenameBtn, 'pauseRename'],
+            [this.elements.resumeRenameBtn, 'resumeRename'],
+            [this.elements.cancelRenameBtn, 'cancelRename']
+        ].forEach(([button, type]) => {
+            button.addEventListener('click', () => {
+                document.dispatchEvent(new CustomEvent(type));
+            });
+        });
+
+        // Undo
+        this.elements.undoLastBtn.addEventListener('click', () => {
+            this.undoLastRename();
+        });
+
+        // Keyboard navigation (arrow keys in form fields move the cursor instead)
         document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
             if (e.key === 'ArrowLeft' && !this.elements.prevBtn.disabled) {
                 this.previousStep();
             } else if (e.key === 'ArrowRight' && !this.elements.nextBtn.disabled) {
@@ -166,7 +598,7 @@ class UIManager {
                 canProceed = this.state.selectedFolder && this.state.files.length > 0;
                 break;
             case 2:
-                canProceed = this.validatePatternSilent();
+                canProceed = this.validatePatternSilent() && this.state.sortedFiles.length > 0;
                 break;
             case 3:
                 canProceed = this.state.previewData.length > 0;
@@ -222,7 +654,9 @@ class UIManager {
     onSelectFolder() {
         // This will be implemented by the app controller
         // The UI manager just emits events
-        const event = new CustomEvent('selectFolder');
+        const event = new CustomEvent('selectFolder', {
+            detail: { recursive: this.state.includeSubfolders }
+        });
         document.dispatchEvent(event);
     }
 
@@ -268,205 +702,1038 @@ class UIManager {
     sortFiles() {
         // This will be handled by the app controller
         const event = new CustomEvent('sortFiles', {
-            detail: { sortBy: this.state.config.sortBy }
+            detail: {
+                sortBy: this.state.config.sortBy,
+                sortThenBy: [...this.state.config.sortThenBy],
+                sortLocale: this.state.config.sortLocale,
+                customOrder: [...this.state.customOrder]
+            }
         });
         document.dispatchEvent(event);
     }
 
     /**
-     * Validate pattern and show errors
+     * Get the file filters of Step 2 in the form FileSorter.applyFilters expects
+     * @param {Object} config - Configuration to read (defaults to the current one)
+     * @returns {Object} Filter criteria; criteria left empty are not set
      */
-    validatePattern() {
-        const pattern = this.elements.patternInput.value;
-        const validation = this.validatePatternSilentObject(pattern);
+    getFilters(config = this.state.config) {
+        const list = value => String(value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+        const units = { kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+        const size = value => value === '' || isNaN(Number(value)) ? undefined : Number(value) * (units[config.filterSizeUnit] || units.kb);
+        // Date inputs give YYYY-MM-DD; the range covers whole local days
+        const day = (value, endOfDay) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+            if (!match) return undefined;
+            return endOfDay
+                ? new Date(match[1], match[2] - 1, match[3], 23, 59, 59, 999)
+                : new Date(match[1], match[2] - 1, match[3]);
+        };
 
-        if (validation.isValid) {
-            this.elements.patternError.classList.add('hidden');
-            this.elements.patternInput.classList.remove('error');
-        } else {
-            this.elements.patternError.textContent = validation.errors.join(', ');
-            this.elements.patternError.classList.remove('hidden');
-            this.elements.patternInput.classList.add('error');
+        return {
+            minSize: size(config.filterMinSize),
+            maxSize: size(config.filterMaxSize),
+            startDate: day(config.filterDateFrom, false),
+            endDate: day(config.filterDateTo, true),
+            extensions: list(config.filterExtensions),
+            search: config.filterName,
+            globs: list(config.filterGlobs),
+            mimeTypes: list(config.filterMimeTypes)
+        };
+    }
+
+    /**
+     * Check the filter ranges and show any errors
+     * @returns {boolean} True if the filters are consistent
+     */
+    validateFilters() {
+        const filters = this.getFilters();
+        const errors = [];
+
+        if (filters.minSize < 0 || filters.maxSize < 0) {
+            errors.push('Sizes cannot be negative');
+        }
+        if (filters.minSize !== undefined && filters.maxSize !== undefined && filters.minSize > filters.maxSize) {
+            errors.push('The smallest size is larger than the largest size');
+        }
+        if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+            errors.push('The start date is after the end date');
         }
 
-        this.updateNavigationButtons();
-        return validation.isValid;
+        this.elements.filterError.textContent = errors.join(', ');
+        this.elements.filterError.classList.toggle('hidden', errors.length === 0);
+        return errors.length === 0;
     }
 
     /**
-     * Validate pattern silently (without UI updates)
-     * @returns {boolean} True if valid, false otherwise
+     * Show how many files the filters let through (called by app controller)
+     * @param {number} selected - Files selected for renaming
+     * @param {number} total - Files in the folder
      */
-    validatePatternSilent() {
-        const pattern = this.elements.patternInput.value;
-        return this.validatePatternSilentObject(pattern).isValid;
+    showFilterCount(selected, total) {
+        this.elements.filterCount.textContent = `${selected} of ${total} files selected`;
+        this.elements.filterCount.classList.toggle('none-selected', selected === 0);
     }
 
     /**
-     * Validate pattern and return result object
-     * @param {string} pattern - Pattern to validate
-     * @returns {Object} Validation result
+     * Start a new custom order from the order currently shown, or drop it for other sort modes
+     * Called whenever the sort mode changes; pattern, padding and other changes keep the order.
      */
-    validatePatternSilentObject(pattern) {
-        const errors = [];
+    resetCustomOrder() {
+        this.state.customOrder = this.state.config.sortBy === 'custom'
+            ? this.state.sortedFiles.map(file => file.path || file.name)
+            : [];
+    }
 
-        if (!pattern || pattern.trim() === '') {
-            errors.push('Pattern cannot be empty');
-            return { isValid: false, errors };
-        }
+    /**
+     * Get the position of a file among the rows of the preview
+     * @param {string} path - Relative path of the file
+     * @returns {number} Index in previewData, or -1
+     */
+    getRowIndex(path) {
+        return this.state.previewData.findIndex(item => (item.path || item.originalName) === path);
+    }
 
-        const numberPlaceholders = (pattern.match(/{number}/g) || []).length;
-        if (numberPlaceholders !== 1) {
-            errors.push('Pattern must contain exactly one {number} placeholder');
-        }
+    /**
+     * Move a file to a new position in the custom order and renumber
+     * Files hidden by the filters keep their place in the order.
+     * @param {string} path - Relative path of the file
+     * @param {number} index - New row position (0 is first)
+     */
+    moveFile(path, index) {
+        const shown = this.state.previewData.map(item => item.path || item.originalName);
+        const from = shown.indexOf(path);
+        const to = Math.max(0, Math.min(index, shown.length - 1));
+        if (from === -1 || from === to) return;
+
+        const reordered = [...shown];
+        reordered.splice(from, 1);
+        reordered.splice(to, 0, path);
+
+        // Rows not placed by hand yet (new files) are listed after the placed ones, as in the preview
+        const order = [...this.state.customOrder];
+        const placed = new Set(order);
+        shown.forEach(shownPath => {
+            if (!placed.has(shownPath)) order.push(shownPath);
+        });
 
-        const invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
-        if (invalidChars.test(pattern)) {
-            errors.push('Pattern contains invalid characters');
-        }
+        // The shown files take each other's slots; the slots of hidden files stay as they are
+        const shownPaths = new Set(shown);
+        let next = 0;
+        this.state.customOrder = order.map(orderPath => shownPaths.has(orderPath) ? reordered[next++] : orderPath);
+        this.focusPathAfterPreview = path;
+        this.sortFiles();
+    }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
+    /**
+     * Move a row with the keyboard: arrow keys by one, Page Up/Down by ten, Home/End to either end
+     * @param {KeyboardEvent} e - Keydown event on a row's move handle
+     */
+    onMoveHandleKey(e) {
+        const path = e.target.dataset.path;
+        const index = this.getRowIndex(path);
+        const targets = {
+            ArrowUp: index - 1,
+            ArrowDown: index + 1,
+            PageUp: index - 10,
+            PageDown: index + 10,
+            Home: 0,
+            End: this.state.previewData.length - 1
         };
+        if (!(e.key in targets)) return;
+
+        // Keep arrow keys from changing steps
+        e.preventDefault();
+        e.stopPropagation();
+        this.moveFile(path, targets[e.key]);
     }
 
     /**
-     * Generate preview (to be handled by app controller)
+     * Check whether the pointer is over the lower half of a row
+     * @param {HTMLElement} row - Table row
+     * @param {number} clientY - Pointer position
+     * @returns {boolean} True to drop after the row
      */
-    async generatePreview() {
-        this.showLoading(this.elements.refreshPreviewBtn, true);
+    isDropAfter(row, clientY) {
+        const rect = row.getBoundingClientRect();
+        return clientY > rect.top + rect.height / 2;
+    }
 
-        const event = new CustomEvent('generatePreview', {
-            detail: {
-                pattern: this.state.config.pattern,
-                padding: this.state.config.padding,
-                files: this.state.sortedFiles
-            }
+    /**
+     * Remove the drop position markers from the preview rows
+     */
+    clearDropMarkers() {
+        this.elements.previewTbody.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+            row.classList.remove('drop-before', 'drop-after');
         });
-        document.dispatchEvent(event);
-
-        // The actual preview generation will be handled by the app controller
-        // which will call updatePreviewTable when complete
     }
 
     /**
-     * Update preview table with data
-     * @param {Array} previewData - Preview data array
-     * @param {Object} options - Additional options
+     * Show the name order (locale) choice only when sorting by name
      */
-    updatePreviewTable(previewData, options = {}) {
-        const { collisionResolutions = [], errors = [] } = options;
+    updateSortLocaleVisibility() {
+        const keys = [this.state.config.sortBy, ...this.state.config.sortThenBy];
+        this.elements.sortLocaleGroup.classList.toggle('hidden', !keys.some(key => key.startsWith('name-')));
+    }
 
-        // Clear existing content
-        this.elements.previewTbody.innerHTML = '';
+    /**
+     * Append a "then by" sort key, preferring a field the chain does not use yet
+     */
+    addSortKey() {
+        const fieldOf = key => key.replace(/-(asc|desc)$/, '');
+        const used = [this.state.config.sortBy, ...this.state.config.sortThenBy].map(fieldOf);
+        const values = this.getChainOptions().map(option => option.value);
+        const key = values.find(value => !used.includes(fieldOf(value))) || values[0];
+
+        this.state.config.sortThenBy.push(key);
+        this.renderSortChain();
+        this.updateSortLocaleVisibility();
+        this.sortFiles();
+    }
 
-        if (errors.length > 0) {
-            this.showValidationErrors(errors);
+    /**
+     * Move or remove a "then by" sort key
+     * @param {string} action - 'up', 'down' or 'remove'
+     * @param {number} index - Position of the key in the chain
+     */
+    changeSortChain(action, index) {
+        const keys = this.state.config.sortThenBy;
+        const target = action === 'up' ? index - 1 : index + 1;
+
+        if ((action === 'up' || action === 'down') && target >= 0 && target < keys.length) {
+            [keys[index], keys[target]] = [keys[target], keys[index]];
+        } else if (action === 'remove') {
+            keys.splice(index, 1);
+        } else {
             return;
         }
 
-        // Hide error messages
-        this.elements.validationErrors.classList.add('hidden');
-
-        if (previewData.length === 0) {
-            const row = document.createElement('tr');
-            row.innerHTML = '<td colspan="4" style="text-align: center; color: #666;">No files to preview</td>';
-            this.elements.previewTbody.appendChild(row);
-            return;
-        }
+        this.renderSortChain();
+        this.updateSortLocaleVisibility();
+        this.sortFiles();
 
-        // Add rows for each file
-        previewData.forEach(item => {
-            const row = document.createElement('tr');
+        // Keep keyboard focus on the moved key
+        const moved = this.elements.sortChainList.querySelector(`[data-sort-index="${target}"] button[data-action="${action}"]`);
+        if (moved && action !== 'remove') moved.focus();
+    }
 
-            if (item.collisionResolved) {
-                row.classList.add('collision-resolved');
-            }
+    /**
+     * Get the sort options that can follow in a "then by" chain (not the custom order)
+     * @returns {Array<HTMLOptionElement>} Options of the sort select
+     */
+    getChainOptions() {
+        return [...this.elements.sortSelect.options].filter(option => option.value !== 'custom');
+    }
 
-            row.innerHTML = `
-                <td class="original-name">${this.escapeHtml(item.originalName)}</td>
-                <td class="new-name">${this.escapeHtml(item.newName)}</td>
-                <td>${this.formatFileSize(item.size)}</td>
-                <td>${this.formatDate(item.creationTime)}</td>
+    /**
+     * Render the "then by" sort keys from state
+     */
+    renderSortChain() {
+        const keys = this.state.config.sortThenBy;
+        const options = this.getChainOptions();
+
+        this.elements.sortChainList.innerHTML = keys.map((key, index) => {
+            const choices = options.map(option =>
+                `<option value="${this.escapeHtml(option.value)}"${option.value === key ? ' selected' : ''}>${this.escapeHtml(option.textContent)}</option>`
+            ).join('');
+
+            return `
+                <li class="sort-chain-item" data-sort-index="${index}">
+                    <label>then by <select aria-label="Sort key ${index + 2}">${choices}</select></label>
+                    <span class="rule-actions">
+                        <button type="button" data-action="up" aria-label="Move sort key ${index + 2} up"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button type="button" data-action="down" aria-label="Move sort key ${index + 2} down"${index === keys.length - 1 ? ' disabled' : ''}>↓</button>
+                        <button type="button" data-action="remove" aria-label="Remove sort key ${index + 2}">✕</button>
+                    </span>
+                </li>
             `;
-
-            this.elements.previewTbody.appendChild(row);
-        });
-
-        // Update file count display
-        this.elements.fileCountDisplay.textContent = `${previewData.length} files`;
-
-        // Show collision warnings if any
-        if (collisionResolutions.length > 0) {
-            this.showCollisionWarnings(collisionResolutions);
-        }
-
-        this.state.previewData = previewData;
-        this.updateNavigationButtons();
+        }).join('');
     }
 
     /**
-     * Show validation errors
-     * @param {Array} errors - Array of error messages
+     * Validate pattern and show errors
      */
-    showValidationErrors(errors) {
-        if (errors.length === 0) {
-            this.elements.validationErrors.classList.add('hidden');
-            return;
-        }
+    validatePattern() {
+        const pattern = this.elements.patternInput.value;
+        const validation = this.getPatternValidation(pattern);
 
-        const errorList = errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('');
-        this.elements.validationErrors.innerHTML = `<ul>${errorList}</ul>`;
-        this.elements.validationErrors.classList.remove('hidden');
+        this.showPatternValidation(pattern, validation);
+        this.updateNavigationButtons();
+        return validation.isValid;
     }
 
     /**
-     * Show collision warnings
-     * @param {Array} collisionResolutions - Array of collision resolution objects
+     * Get the validation result for a pattern from the app controller
+     * The controller answers the 'validatePattern' event synchronously through setPatternValidation,
+     * so the result is cached per pattern and target profile.
+     * @param {string} pattern - Pattern to validate
+     * @returns {Object} Validation result with isValid, errors and diagnostics
      */
-    showCollisionWarnings(collisionResolutions) {
-        if (collisionResolutions.length === 0) {
-            this.elements.collisionWarnings.classList.add('hidden');
-            return;
+    getPatternValidation(pattern) {
+        const profile = this.state.config.targetProfile;
+        const cached = this.state.patternValidation;
+
+        if (!cached || cached.pattern !== pattern || cached.profile !== profile) {
+            const event = new CustomEvent('validatePattern', {
+                detail: { pattern, profile }
+            });
+            document.dispatchEvent(event);
         }
 
-        const warningList = collisionResolutions.map(resolution =>
-            `<li>${this.escapeHtml(resolution.originalName)} → ${this.escapeHtml(resolution.resolvedName)} (number ${resolution.originalIndex} → ${resolution.resolvedIndex})</li>`
-        ).join('');
-
-        this.elements.collisionWarnings.innerHTML = `
-            <strong>Name Collisions Resolved:</strong>
-            <ul>${warningList}</ul>
-            <p><em>Some file numbers were adjusted to avoid name conflicts.</em></p>
-        `;
-        this.elements.collisionWarnings.classList.remove('hidden');
+        const current = this.state.patternValidation;
+        if (current && current.pattern === pattern && current.profile === profile) {
+            return current.result;
+        }
+        return { isValid: false, errors: [], diagnostics: [] };
     }
 
     /**
-     * Update execution summary
+     * Store the validation result for a pattern (called by app controller)
+     * @param {string} pattern - Validated pattern
+     * @param {string} profile - Target profile it was validated for
+     * @param {Object} result - Result of FileRenamer.validatePattern
      */
-    updateExecutionSummary() {
-        const count = this.state.previewData.length;
-        this.elements.filesToRenameCount.textContent = count;
+    setPatternValidation(pattern, profile, result) {
+        this.state.patternValidation = { pattern, profile, result };
     }
 
     /**
-     * Execute rename operation (to be handled by app controller)
+     * Underline the offending parts of the pattern and list the errors with suggested fixes
+     * @param {string} pattern - Pattern as typed
+     * @param {Object} validation - Validation result with diagnostics
      */
-    async executeRename() {
-        this.showLoading(this.elements.executeRenameBtn, true);
+    showPatternValidation(pattern, validation) {
+        const diagnostics = validation.diagnostics || [];
+
+        this.elements.patternInput.classList.toggle('error', !validation.isValid);
+        this.elements.patternError.classList.toggle('hidden', validation.isValid || validation.errors.length === 0);
+
+        if (validation.isValid) {
+            this.elements.patternHighlight.classList.add('hidden');
+            return;
+        }
+
+        // Mark every character covered by a diagnostic, then render runs of marked and plain text
+        const marked = [...pattern].map((_, index) => diagnostics.some(diagnostic =>
+            diagnostic.start <= index && index < diagnostic.end));
+        let html = '';
+        let run = '';
+        marked.forEach((isMarked, index) => {
+            run += pattern[index];
+            if (index === pattern.length - 1 || marked[index + 1] !== isMarked) {
+                html += isMarked ? `<mark>${this.escapeHtml(run)}</mark>` : this.escapeHtml(run);
+                run = '';
+            }
+        });
+        this.elements.patternHighlight.innerHTML = html;
+        this.elements.patternHighlight.classList.toggle('hidden', !marked.includes(true));
+
+        // Repeated diagnostics (e.g. one per invalid character) are listed once
+        const seen = new Set();
+        const items = diagnostics.filter(diagnostic => {
+            const key = `${diagnostic.message}\n${diagnostic.suggestion}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).map(diagnostic => `
+            <li>
+                <button type="button" class="diagnostic-link" data-start="${diagnostic.start}" data-end="${diagnostic.end}">${this.escapeHtml(diagnostic.message)}</button>
+                ${diagnostic.suggestion ? `<span class="diagnostic-suggestion">${this.escapeHtml(diagnostic.suggestion)}</span>` : ''}
+            </li>
+        `).join('');
+        this.elements.patternError.innerHTML = `<ul>${items}</ul>`;
+    }
+
+    /**
+     * Validate pattern silently (without UI updates)
+     * Checks the find expression instead when regex mode is selected,
+     * that a rule is enabled in rules mode and that a mapping file was loaded in mapping mode
+     * @returns {boolean} True if valid, false otherwise
+     */
+    validatePatternSilent() {
+        if (this.state.config.mode === 'mapping') {
+            return Boolean(this.state.mapping && this.state.mapping.pairs.length > 0);
+        }
+
+        // Rule options are checked by the renamer when the preview is generated
+        if (this.state.config.mode === 'rules') {
+            return this.state.config.rules.some(rule => rule.enabled);
+        }
+
+        if (this.state.config.mode === 'regex') {
+            return this.getRegexValidation(this.state.config.regexFind, this.state.config.regexFlags).isValid;
+        }
+
+        const pattern = this.elements.patternInput.value;
+        return this.getPatternValidation(pattern).isValid && this.getNumberingValidation().isValid;
+    }
+
+    /**
+     * Get the validation result for the numbering options from the app controller
+     * Answered synchronously through setNumberingValidation, like getPatternValidation.
+     * Every loaded file is counted, so the range check covers the whole batch.
+     * @returns {Object} Validation result with isValid and errors
+     */
+    getNumberingValidation() {
+        const { startNumber, step, numberFormat, padding } = this.state.config;
+        const params = {
+            numbering: { start: startNumber, step: step, format: numberFormat },
+            padding: padding,
+            count: this.state.sortedFiles.length
+        };
+        const key = JSON.stringify(params);
+
+        if (this.state.numberingValidation?.key !== key) {
+            document.dispatchEvent(new CustomEvent('validateNumbering', {
+                detail: { ...params, key }
+            }));
+        }
+
+        const current = this.state.numberingValidation;
+        if (current && current.key === key) {
+            return current.result;
+        }
+        return { isValid: false, errors: [] };
+    }
+
+    /**
+     * Store the validation result for the numbering options (called by app controller)
+     * @param {string} key - Options the result belongs to, as sent with the 'validateNumbering' event
+     * @param {Object} result - Result of FileRenamer.validateNumbering
+     */
+    setNumberingValidation(key, result) {
+        this.state.numberingValidation = { key, result };
+    }
+
+    /**
+     * Validate numbering inputs and show errors
+     * @returns {boolean} True if valid, false otherwise
+     */
+    validateNumbering() {
+        const { errors } = this.getNumberingValidation();
+
+        this.elements.numberingError.textContent = errors.join(', ');
+        this.elements.numberingError.classList.toggle('hidden', errors.length === 0);
+
+        this.updateNavigationButtons();
+        return errors.length === 0;
+    }
+
+    /**
+     * Validate the find expression and show errors
+     * @returns {boolean} True if valid, false otherwise
+     */
+    validateRegex() {
+        const { regexFind, regexFlags } = this.state.config;
+        const validation = this.getRegexValidation(regexFind, regexFlags);
+
+        if (validation.isValid || regexFind === '') {
+            this.elements.regexError.classList.add('hidden');
+            this.elements.regexFindInput.classList.remove('error');
+        } else {
+            this.elements.regexError.textContent = validation.errors.join(', ');
+            this.elements.regexError.classList.remove('hidden');
+            this.elements.regexFindInput.classList.add('error');
+        }
+
+        this.updateNavigationButtons();
+        return validation.isValid;
+    }
+
+    /**
+     * Get the validation result for a find expression from the app controller
+     * Answered synchronously through setRegexValidation, like getPatternValidation.
+     * @param {string} find - Regular expression source
+     * @param {string} flags - Regular expression flags
+     * @returns {Object} Validation result with isValid and errors
+     */
+    getRegexValidation(find, flags) {
+        const cached = this.state.regexValidation;
+
+        if (!cached || cached.find !== find || cached.flags !== flags) {
+            document.dispatchEvent(new CustomEvent('validateRegex', {
+                detail: { find, flags }
+            }));
+        }
+
+        const current = this.state.regexValidation;
+        if (current && current.find === find && current.flags === flags) {
+            return current.result;
+        }
+        return { isValid: false, errors: [] };
+    }
+
+    /**
+     * Store the validation result for a find expression (called by app controller)
+     * @param {string} find - Validated regular expression source
+     * @param {string} flags - Validated flags
+     * @param {Object} result - Result of FileRenamer.validateRegex
+     */
+    setRegexValidation(find, flags, result) {
+        this.state.regexValidation = { find, flags, result };
+    }
+
+    /**
+     * Set the rule types offered by the rule list editor (called by app controller)
+     * @param {Array<Object>} types - Rule types as { type, label, fields } from RulePipeline.getRuleTypes
+     */
+    setRuleTypes(types) {
+        this.ruleTypes = types;
+        this.elements.ruleTypeSelect.innerHTML = types
+            .map(type => `<option value="${type.type}">${this.escapeHtml(type.label)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Append a rule with default options to the rule list
+     * @param {string} type - Rule type
+     */
+    addRule(type) {
+        const definition = this.ruleTypes.find(ruleType => ruleType.type === type);
+        if (!definition) return;
+
+        const options = {};
+        definition.fields.forEach(field => {
+            options[field.name] = field.default;
+        });
+
+        this.state.config.rules.push({ type, enabled: true, options });
+        this.renderRuleList();
+        this.updateNavigationButtons();
+    }
+
+    /**
+     * Move, remove or toggle a rule
+     * @param {string} action - 'up', 'down', 'remove' or 'toggle'
+     * @param {number} index - Position of the rule in the list
+     */
+    changeRuleList(action, index) {
+        const rules = this.state.config.rules;
+        const target = action === 'up' ? index - 1 : index + 1;
+
+        if ((action === 'up' || action === 'down') && target >= 0 && target < rules.length) {
+            [rules[index], rules[target]] = [rules[target], rules[index]];
+        } else if (action === 'remove') {
+            rules.splice(index, 1);
+        } else {
+            return;
+        }
+
+        this.renderRuleList();
+        this.updateNavigationButtons();
+
+        // Keep keyboard focus on the moved rule
+        const moved = this.elements.ruleList.querySelector(`[data-rule-index="${target}"] button[data-action="${action}"]`);
+        if (moved && action !== 'remove') moved.focus();
+    }
+
+    /**
+     * Store an edited rule option
+     * @param {number} index - Position of the rule in the list
+     * @param {HTMLElement} input - Edited input with a data-field attribute
+     */
+    updateRuleOption(index, input) {
+        const rule = this.state.config.rules[index];
+        if (!rule) return;
+
+        if (input.dataset.field === 'enabled') {
+            rule.enabled = input.checked;
+            input.closest('[data-rule-index]').classList.toggle('disabled', !input.checked);
+            this.updateNavigationButtons();
+            return;
+        }
+
+        if (input.type === 'checkbox') {
+            rule.options[input.dataset.field] = input.checked;
+        } else if (input.type === 'number') {
+            rule.options[input.dataset.field] = input.value === '' ? NaN : Number(input.value);
+        } else {
+            rule.options[input.dataset.field] = input.value;
+        }
+    }
+
+    /**
+     * Render the rule list editor from state
+     */
+    renderRuleList() {
+        const rules = this.state.config.rules;
+
+        this.elements.ruleList.innerHTML = rules.map((rule, index) => {
+            const definition = this.ruleTypes.find(ruleType => ruleType.type === rule.type);
+            const label = definition ? definition.label : rule.type;
+            const fields = (definition ? definition.fields : []).map(field => {
+                const value = rule.options[field.name] ?? field.default;
+                const id = `rule-${index}-${field.name}`;
+
+                if (field.type === 'checkbox') {
+                    return `<label for="${id}" class="checkbox-label"><input type="checkbox" id="${id}" data-field="${field.name}"${value ? ' checked' : ''}> ${this.escapeHtml(field.label)}</label>`;
+                }
+                if (field.type === 'select') {
+                    const choices = field.choices.map(choice =>
+                        `<option value="${this.escapeHtml(choice)}"${choice === value ? ' selected' : ''}>${this.escapeHtml(choice)}</option>`
+                    ).join('');
+                    return `<label for="${id}">${this.escapeHtml(field.label)}<select id="${id}" data-field="${field.name}">${choices}</select></label>`;
+                }
+                const type = field.type === 'number' ? 'number" step="1' : 'text';
+                const shown = Number.isNaN(value) ? '' : this.escapeHtml(String(value));
+                return `<label for="${id}">${this.escapeHtml(field.label)}<input type="${type}" id="${id}" data-field="${field.name}" value="${shown}"></label>`;
+            }).join('');
+
+            return `
+                <li class="rule-item${rule.enabled ? '' : ' disabled'}" data-rule-index="${index}">
+                    <div class="rule-header">
+                        <label class="checkbox-label"><input type="checkbox" data-field="enabled"${rule.enabled ? ' checked' : ''} aria-label="Enable rule ${index + 1}"> ${index + 1}. ${this.escapeHtml(label)}</label>
+                        <span class="rule-actions">
+                            <button type="button" data-action="up" aria-label="Move rule ${index + 1} up"${index === 0 ? ' disabled' : ''}>↑</button>
+                            <button type="button" data-action="down" aria-label="Move rule ${index + 1} down"${index === rules.length - 1 ? ' disabled' : ''}>↓</button>
+                            <button type="button" data-action="remove" aria-label="Remove rule ${index + 1}">✕</button>
+                        </span>
+                    </div>
+                    <div class="inline-fields rule-fields">${fields}</div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show only the Step 2 options that belong to the selected rename mode
+     */
+    updateModeVisibility() {
+        this.elements.modeGroups.forEach(group => {
+            group.classList.toggle('hidden', group.dataset.mode !== this.state.config.mode);
+        });
+    }
+
+    /**
+     * Generate preview (to be handled by app controller)
+     */
+    async generatePreview() {
+        this.showLoading(this.elements.refreshPreviewBtn, true);
+
+        const event = new CustomEvent('generatePreview', {
+            detail: {
+                mode: this.state.config.mode,
+                pattern: this.state.config.pattern,
+                padding: this.state.config.padding,
+                numbering: {
+                    start: this.state.config.startNumber,
+                    step: this.state.config.step,
+                    descending: this.state.config.descending,
+                    format: this.state.config.numberFormat
+                },
+                grouping: {
+                    by: this.state.config.counterGroup,
+                    scope: this.state.config.counterScope
+                },
+                regex: {
+                    find: this.state.config.regexFind,
+                    replace: this.state.config.regexReplace,
+                    flags: this.state.config.regexFlags
+                },
+                rules: this.state.config.rules,
+                transforms: this.getTransforms(),
+                extension: {
+                    mode: this.state.config.extensionMode,
+                    replacement: this.state.config.extensionReplacement,
+                    compound: this.state.config.compoundExtensions
+                },
+                target: {
+                    profile: this.state.config.targetProfile,
+                    sanitize: this.state.config.sanitizeNames
+                },
+                collisionStrategy: this.state.config.collisionStrategy,
+                duplicates: {
+                    mode: this.state.config.duplicateMode,
+                    folder: this.state.config.duplicateFolder
+                },
+                mapping: this.state.mapping ? this.state.mapping.pairs : [],
+                overrides: this.state.overrides,
+                files: this.state.sortedFiles
+            }
+        });
+        document.dispatchEvent(event);
+
+        // The actual preview generation will be handled by the app controller
+        // which will call updatePreviewTable when complete
+    }
+
+    /**
+     * Get the whole-name transforms selected in Step 2, in the order they run
+     * @returns {Array<string>} Transform names for FileRenamer.applyTransforms
+     */
+    getTransforms() {
+        const { normalizeNfc, stripDiacritics, caseTransform } = this.state.config;
+        const transforms = [];
+
+        if (normalizeNfc) transforms.push('nfc');
+        if (stripDiacritics) transforms.push('ascii');
+        if (caseTransform) transforms.push(caseTransform);
+
+        return transforms;
+    }
+
+    /**
+     * Update preview table with data
+     * @param {Array} previewData - Preview data array
+     * @param {Object} options - Additional options
+     */
+    updatePreviewTable(previewData, options = {}) {
+        const { collisionResolutions = [], errors = [], warnings = [], metadataUsed = false } = options;
+
+        // Clear existing content
+        this.elements.previewTbody.innerHTML = '';
+        this.overrideInputs.clear();
+        this.elements.clearOverridesBtn.classList.toggle('hidden', Object.keys(this.state.overrides).length === 0);
+        this.elements.exportCsvBtn.disabled = errors.length > 0 || previewData.length === 0;
+        this.elements.exportJsonBtn.disabled = errors.length > 0 || previewData.length === 0;
+        this.showPreviewWarnings(warnings);
+
+        // In the custom order every row gets a handle to drag it, or move it with the keyboard
+        const customOrder = this.state.config.sortBy === 'custom';
+        this.elements.previewTbody.classList.toggle('custom-order', customOrder);
+        this.elements.customOrderHint.classList.toggle('hidden', !customOrder);
+
+        if (errors.length > 0) {
+            this.showValidationErrors(errors);
+            return;
+        }
+
+        // Hide error messages
+        this.elements.validationErrors.classList.add('hidden');
+
+        if (previewData.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="4" style="text-align: center; color: #666;">No files to preview</td>';
+            this.elements.previewTbody.appendChild(row);
+            return;
+        }
+
+        // Add rows for each file
+        previewData.forEach((item, index) => {
+            const row = document.createElement('tr');
+
+            if (item.collisionResolved) {
+                row.classList.add('collision-resolved');
+            }
+
+            if (item.unchanged) {
+                row.classList.add('unchanged');
+            }
+
+            if (item.overridden) {
+                row.classList.add('overridden');
+            }
+
+            if (item.duplicate && item.duplicate.copy > 0) {
+                row.classList.add('duplicate-copy');
+            }
+
+            if (item.skipped) {
+                row.classList.add('skipped');
+                row.title = 'Skipped: the new name already exists';
+            }
+
+            // Files from subfolders show their relative path
+            const path = this.escapeHtml(item.path || item.originalName);
+            const metadataMissing = metadataUsed && item.metadata === null
+                ? ' <small class="metadata-missing" title="No readable metadata in this file: metadata tokens are empty, capture time falls back to the file date and metadata sorts put the file last">metadata unavailable</small>'
+                : '';
+            const duplicate = item.duplicate ? this.formatDuplicateBadge(item) : '';
+            const handle = customOrder
+                ? `<button type="button" class="move-handle" draggable="true" data-path="${path}" aria-label="Move ${path}, position ${index + 1} of ${previewData.length}" title="Drag, or use the arrow keys, to move this file">⠿</button>`
+                : '';
+            row.dataset.path = item.path || item.originalName;
+            row.innerHTML = `
+                <td class="original-name">${handle}${path}${metadataMissing}${duplicate}</td>
+                <td class="new-name">
+                    <input type="text" class="new-name-input" value="${this.escapeHtml(item.newName)}" data-path="${path}" aria-label="New name for ${path}">
+                    ${item.overridden ? `<button type="button" class="clear-override-btn" data-path="${path}" title="Use the generated name again">×</button>` : ''}
+                    <div class="override-error hidden"></div>
+                </td>
+                <td>${this.formatFileSize(item.size)}</td>
+                <td>${this.formatPreviewDate(item, metadataUsed)}</td>
+            `;
+
+            this.overrideInputs.set(item.path || item.originalName, row.querySelector('.new-name-input'));
+            this.elements.previewTbody.appendChild(row);
+        });
+
+        // Keep the keyboard on the row that was just moved
+        if (this.focusPathAfterPreview !== null) {
+            const handle = [...this.elements.previewTbody.querySelectorAll('.move-handle')]
+                .find(button => button.dataset.path === this.focusPathAfterPreview);
+            if (handle) handle.focus();
+            this.focusPathAfterPreview = null;
+        }
+
+        // Update file count display
+        const unchangedCount = previewData.filter(item => item.unchanged).length;
+        const copyCount = previewData.filter(item => item.duplicate && item.duplicate.copy > 0).length;
+        const notes = [
+            unchangedCount > 0 ? `${unchangedCount} unchanged` : '',
+            copyCount > 0 ? `${copyCount} duplicate ${copyCount === 1 ? 'copy' : 'copies'}` : ''
+        ].filter(Boolean);
+        this.elements.fileCountDisplay.textContent = notes.length > 0
+            ? `${previewData.length} files (${notes.join(', ')})`
+            : `${previewData.length} files`;
+
+        // Show collision warnings if any (hides stale ones otherwise)
+        this.showCollisionWarnings(collisionResolutions);
+
+        this.state.previewData = previewData;
+        this.updateNavigationButtons();
+    }
+
+    /**
+     * Validate a hand-edited new name (to be handled by app controller)
+     * The controller answers through showOverrideValidation, which resolves the returned promise.
+     * @param {string} path - Relative path of the edited row
+     * @param {string} newName - Name typed by the user
+     * @returns {Promise<Object>} Validation result with isValid and errors
+     */
+    validateOverride(path, newName) {
+        const validation = new Promise(resolve => {
+            this.overrideValidations.set(path, { newName, resolve });
+        });
+
+        const event = new CustomEvent('validateOverride', {
+            detail: { path, newName, previewData: this.state.previewData }
+        });
+        document.dispatchEvent(event);
+        return validation;
+    }
+
+    /**
+     * Show live validation for a hand-edited new name
+     * @param {string} path - Relative path of the edited row
+     * @param {Object} validation - Validation result with isValid and errors
+     * @param {string|null} newName - Name the result is for; results for a name that was typed over are not shown
+     */
+    showOverrideValidation(path, validation, newName = null) {
+        const pending = this.overrideValidations.get(path);
+        if (pending && pending.newName === newName) {
+            this.overrideValidations.delete(path);
+            pending.resolve(validation);
+        }
+
+        const input = this.overrideInputs.get(path);
+        if (!input || (newName !== null && input.value !== newName)) return;
+
+        const errorElement = input.parentElement.querySelector('.override-error');
+        input.classList.toggle('error', !validation.isValid);
+        errorElement.textContent = validation.errors.join(', ');
+        errorElement.classList.toggle('hidden', validation.isValid);
+    }
+
+    /**
+     * Keep a hand-picked name for a file and refresh the preview
+     * The name is validated again first and only kept if it is valid.
+     * @param {string} path - Relative path of the edited row
+     * @param {string} newName - Name typed by the user
+     */
+    async setOverride(path, newName) {
+        const input = this.overrideInputs.get(path);
+
+        // Typing the generated name back is the same as no override
+        if (input && newName === input.defaultValue && !this.state.overrides[path]) {
+            return;
+        }
+
+        const validation = await this.validateOverride(path, newName);
+        if (!validation.isValid) {
+            return;
+        }
+
+        this.state.overrides = { ...this.state.overrides, [path]: newName.trim() };
+        this.generatePreview();
+    }
+
+    /**
+     * Drop a hand-picked name (or all of them) and refresh the preview
+     * @param {string|null} path - Relative path of the row, or null to clear every override
+     */
+    clearOverride(path) {
+        if (path === null) {
+            this.state.overrides = {};
+        } else {
+            const overrides = { ...this.state.overrides };
+            delete overrides[path];
+            this.state.overrides = overrides;
+        }
+
+        this.generatePreview();
+    }
+
+    /**
+     * Show validation errors
+     * @param {Array} errors - Array of error messages
+     */
+    showValidationErrors(errors) {
+        if (errors.length === 0) {
+            this.elements.validationErrors.classList.add('hidden');
+            return;
+        }
+
+        const errorList = errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('');
+        this.elements.validationErrors.innerHTML = `<ul>${errorList}</ul>`;
+        this.elements.validationErrors.classList.remove('hidden');
+    }
+
+    /**
+     * Show collision warnings
+     * @param {Array} collisionResolutions - Array of collision resolution objects
+     */
+    showCollisionWarnings(collisionResolutions) {
+        if (collisionResolutions.length === 0) {
+            this.elements.collisionWarnings.classList.add('hidden');
+            return;
+        }
+
+        const warningList = collisionResolutions.map(resolution =>
+            `<li>${this.describeCollision(resolution)}</li>`
+        ).join('');
+
+        this.elements.collisionWarnings.innerHTML = `
+            <strong>Name Collisions Resolved:</strong>
+            <ul>${warningList}</ul>
+            <p><em>These files would have taken a name that already exists.</em></p>
+        `;
+        this.elements.collisionWarnings.classList.remove('hidden');
+    }
+
+    /**
+     * Describe how one collision was handled
+     * @param {Object} resolution - Collision with originalName, conflictingName, strategy and resolvedName
+     * @returns {string} HTML-escaped description naming the applied strategy
+     */
+    describeCollision(resolution) {
+        const originalName = this.escapeHtml(resolution.originalName);
+        const conflictingName = this.escapeHtml(resolution.conflictingName);
+        const resolvedName = this.escapeHtml(resolution.resolvedName || '');
+
+        switch (resolution.action || resolution.strategy) {
+            case 'skip':
+                return `${originalName} skipped, "${conflictingName}" already exists (skip)`;
+            case 'abort':
+                return `${originalName}: "${conflictingName}" already exists, batch stopped (abort)`;
+            case 'suffix':
+                return `${originalName} → ${resolvedName} ("${conflictingName}" already exists, suffix added)`;
+            default:
+                return `${originalName} → ${resolvedName} (number ${resolution.originalIndex} → ${resolution.resolvedIndex}, next free number)`;
+        }
+    }
+
+    /**
+     * Update execution summary
+     */
+    updateExecutionSummary() {
+        const count = this.state.previewData.length;
+        this.elements.filesToRenameCount.textContent = count;
+    }
+
+    /**
+     * Execute rename operation (to be handled by app controller)
+     * The controller first re-scans the folder and calls showStalePreview if it changed.
+     * @param {boolean} skipStaleCheck - Rename even though the folder changed since the preview
+     */
+    async executeRename(skipStaleCheck = false) {
+        this.showLoading(this.elements.executeRenameBtn, true);
         this.elements.progressContainer.classList.remove('hidden');
         this.elements.operationResult.classList.add('hidden');
+        this.elements.stalePreview.classList.add('hidden');
+        this.elements.batchControls.classList.remove('hidden');
+        this.elements.progressFill.style.width = '0%';
+        this.elements.progressText.textContent = skipStaleCheck ? '' : 'Checking the folder for changes since the preview…';
+        this.showBatchState('running');
 
         const event = new CustomEvent('executeRename', {
             detail: {
-                previewData: this.state.previewData
+                previewData: this.state.previewData,
+                collisionStrategy: this.state.config.collisionStrategy,
+                skipStaleCheck: skipStaleCheck
             }
         });
         document.dispatchEvent(event);
     }
 
+    /**
+     * Show what changed in the folder since the preview and let the user decide
+     * @param {Object} comparison - Result of FileSystemManager.compareFiles
+     */
+    showStalePreview(comparison) {
+        this.showLoading(this.elements.executeRenameBtn, false);
+        this.elements.progressContainer.classList.add('hidden');
+
+        const { added, removed, modified, renamed } = comparison;
+        const pathOf = file => this.escapeHtml(file.path || file.name);
+        const section = (title, entries, describe) => {
+            if (entries.length === 0) return '';
+            const shown = entries.slice(0, 20).map(entry => `<li>${describe(entry)}</li>`).join('');
+            const more = entries.length > 20 ? `<li><em>... and ${entries.length - 20} more</em></li>` : '';
+            return `<h4>${title} (${entries.length}):</h4><ul>${shown}${more}</ul>`;
+        };
+
+        this.elements.stalePreview.innerHTML = `
+            <h3>The folder changed since the preview</h3>
+            <p>Another program added, removed, renamed or changed files after the preview was generated. Regenerate the preview to plan against the folder as it is now, or rename anyway with the current plan.</p>
+            ${section('Added', added, pathOf)}
+            ${section('Removed', removed, pathOf)}
+            ${section('Renamed', renamed, entry => `${pathOf(entry.file)} → ${pathOf(entry.current)}`)}
+            ${section('Changed', modified, entry =>
+                `${pathOf(entry.file)} (size ${this.formatFileSize(entry.file.size)} → ${this.formatFileSize(entry.current.size)}, modified ${this.formatDate(entry.file.lastModified)} → ${this.formatDate(entry.current.lastModified)})`
+            )}
+            <div class="stale-actions">
+                <button type="button" class="btn-primary regenerate-preview-btn">Regenerate preview</button>
+                <button type="button" class="btn-secondary rename-anyway-btn">Rename anyway</button>
+            </div>
+        `;
+        this.elements.stalePreview.classList.remove('hidden');
+
+        this.elements.stalePreview.querySelector('.regenerate-preview-btn').addEventListener('click', () => {
+            this.elements.stalePreview.classList.add('hidden');
+            document.dispatchEvent(new CustomEvent('regeneratePreview'));
+        });
+        this.elements.stalePreview.querySelector('.rename-anyway-btn').addEventListener('click', () => {
+            this.executeRename(true);
+        });
+    }
+
+    /**
+     * Build the badge that marks a file with identical copies
+     * @param {Object} item - Preview item with duplicate info ({ group, copy, count }) and moveTo
+     * @returns {string} HTML
+     */
+    formatDuplicateBadge(item) {
+        const { group, copy, count } = item.duplicate;
+        const role = copy === 0 ? 'original' : `copy ${copy} of ${count - 1}`;
+        const destination = item.moveTo !== null && item.moveTo !== undefined
+            ? ` → ${this.escapeHtml(item.moveTo)}/`
+            : '';
+        return ` <small class="duplicate-badge" title="Identical contents (SHA-256) to the other files of group ${group}">identical #${group}, ${role}${destination}</small>`;
+    }
+
+    /**
+     * Show the progress of the duplicate check
+     * @param {Object} progress - { filesDone, filesTotal, bytesDone, bytesTotal, name }
+     */
+    showHashProgress(progress) {
+        const { filesDone, filesTotal, bytesDone, bytesTotal } = progress;
+        const percentage = bytesTotal > 0 ? Math.round((bytesDone / bytesTotal) * 100) : 100;
+
+        this.elements.hashProgress.classList.remove('hidden');
+        this.elements.hashProgressFill.style.width = `${percentage}%`;
+        this.elements.hashProgressText.textContent =
+            `Checking for duplicates: file ${Math.min(filesDone + 1, filesTotal)} of ${filesTotal} (${percentage}%)`;
+    }
+
+    /**
+     * Hide the duplicate check progress
+     */
+    hideHashProgress() {
+        this.elements.hashProgress.classList.add('hidden');
+        this.elements.hashProgressFill.style.width = '0%';
+    }
+
     /**
      * Show progress during operation
      * @param {number} current - Current progress
@@ -482,6 +1749,27 @@ class UIManager {
             `Renaming ${current} of ${total} files: ${currentFile} → ${newName}`;
     }
 
+    /**
+     * Update the pause, resume and cancel controls
+     * @param {string} state - 'running', 'paused' or 'cancelling'
+     */
+    showBatchState(state) {
+        this.elements.pauseRenameBtn.classList.toggle('hidden', state === 'paused');
+        this.elements.pauseRenameBtn.disabled = state === 'cancelling';
+        this.elements.resumeRenameBtn.classList.toggle('hidden', state !== 'paused');
+        this.elements.cancelRenameBtn.disabled = state === 'cancelling';
+        this.elements.cancelRenameBtn.textContent = state === 'cancelling' ? 'Cancelling…' : 'Cancel';
+
+        const text = this.elements.progressText.textContent.replace(/ — (paused|cancelling.*)$/, '');
+        if (state === 'paused') {
+            this.elements.progressText.textContent = `${text} — paused`;
+        } else if (state === 'cancelling') {
+            this.elements.progressText.textContent = `${text} — cancelling after the current rename`;
+        } else {
+            this.elements.progressText.textContent = text;
+        }
+    }
+
     /**
      * Show operation result
      * @param {Object} result - Operation result object
@@ -492,35 +1780,92 @@ class UIManager {
 
         const successCount = result.successful.length;
         const failureCount = result.failed.length;
+        const skippedCount = (result.skipped || []).length;
+        const notRenamedCount = (result.notRenamed || []).length;
         const totalCount = result.totalFiles;
+        const title = result.cancelled ? 'Operation Cancelled'
+            : result.aborted ? 'Operation Stopped'
+                : result.rolledBack ? 'Rollback Complete'
+                    : result.retried ? 'Retry Complete' : 'Operation Complete';
 
         let html = `
-            <h3>Operation Complete</h3>
-            <p><strong>${successCount}</strong> of <strong>${totalCount}</strong> files renamed successfully.</p>
+            <h3>${title}</h3>
+            <p><strong>${successCount}</strong> of <strong>${totalCount}</strong> files ${result.rolledBack ? 'renamed back' : 'renamed successfully'}${skippedCount > 0 ? `, ${skippedCount} skipped` : ''}${notRenamedCount > 0 ? `, ${notRenamedCount} not renamed because the batch was cancelled` : ''}.</p>
         `;
 
+        // After a cancel the complete list matters, so the renamed files can be checked or rolled back
+        if (result.cancelled && successCount > 0) {
+            html += `
+                <div class="rollback">
+                    <button type="button" class="btn-secondary rollback-btn">Roll back these ${successCount} renames</button>
+                </div>
+            `;
+        }
+
+        if ((result.collisions || []).length > 0) {
+            html += `
+                <div class="collisions">
+                    <h4>Names Taken Since the Preview (${result.collisions.length}):</h4>
+                    <ul>
+                        ${result.collisions.map(collision => `<li>${this.describeCollision(collision)}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+
         if (failureCount > 0) {
+            const retryable = result.failed.filter(failure => failure.file && failure.reason !== 'missing');
+
+            // Name problems can be fixed in place and retried without rebuilding the plan
             html += `
                 <div class="failures">
                     <h4>Failed Renames (${failureCount}):</h4>
                     <ul>
-                        ${result.failed.map(failure =>
-                            `<li>${this.escapeHtml(failure.originalName)} → ${this.escapeHtml(failure.newName)}: ${this.escapeHtml(failure.error)}</li>`
+                        ${result.failed.map((failure, index) => `
+                            <li>
+                                ${this.escapeHtml(failure.originalName)} → ${this.escapeHtml(failure.newName)}: ${this.escapeHtml(failure.error)}
+                                ${failure.reason === 'name' && failure.file ? `
+                                    <div class="retry-name">
+                                        <input type="text" class="retry-name-input" data-index="${index}" value="${this.escapeHtml(failure.newName)}" aria-label="New name for ${this.escapeHtml(failure.originalName)}">
+                                        <button type="button" class="btn-secondary retry-name-btn" data-index="${index}">Retry with new name</button>
+                                    </div>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${retryable.length > 0 ? `
+                        <div class="retry-controls">
+                            <label class="checkbox-label"><input type="checkbox" class="retry-backoff" checked> If a file is locked by another app, wait and try again (up to 3 more times)</label>
+                            <button type="button" class="btn-secondary retry-failed-btn">Retry failed (${retryable.length})</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        if (notRenamedCount > 0) {
+            html += `
+                <div class="not-renamed">
+                    <h4>Not Renamed (${notRenamedCount}):</h4>
+                    <ul>
+                        ${result.notRenamed.map(item =>
+                            `<li>${this.escapeHtml(item.originalName)} (planned: ${this.escapeHtml(item.newName)})</li>`
                         ).join('')}
                     </ul>
                 </div>
             `;
         }
 
+        const shownSuccesses = result.cancelled ? successCount : 10;
         if (successCount > 0) {
             html += `
                 <div class="successes">
                     <h4>Successfully Renamed:</h4>
                     <ul>
-                        ${result.successful.slice(0, 10).map(success =>
+                        ${result.successful.slice(0, shownSuccesses).map(success =>
                             `<li>${this.escapeHtml(success.originalName)} → ${this.escapeHtml(success.newName)}</li>`
                         ).join('')}
-                        ${successCount > 10 ? '<li><em>... and ' + (successCount - 10) + ' more files</em></li>' : ''}
+                        ${successCount > shownSuccesses ? '<li><em>... and ' + (successCount - shownSuccesses) + ' more files</em></li>' : ''}
                     </ul>
                 </div>
             `;
@@ -529,17 +1874,480 @@ class UIManager {
         this.elements.operationResult.innerHTML = html;
         this.elements.operationResult.classList.remove('hidden');
 
-        if (failureCount === 0) {
-            this.elements.operationResult.classList.add('success');
-            this.elements.operationResult.classList.remove('error');
-        } else {
+        this.attachRetryHandlers(result);
+
+        const rollbackBtn = this.elements.operationResult.querySelector('.rollback-btn');
+        if (rollbackBtn) {
+            rollbackBtn.addEventListener('click', () => {
+                rollbackBtn.disabled = true;
+                this.rollbackBatch(result);
+            });
+        }
+
+        this.elements.operationResult.classList.remove('success', 'error', 'cancelled');
+        if (failureCount > 0) {
             this.elements.operationResult.classList.add('error');
-            this.elements.operationResult.classList.remove('success');
+        } else {
+            this.elements.operationResult.classList.add(result.cancelled ? 'cancelled' : 'success');
         }
 
         this.state.operationResult = result;
     }
 
+    /**
+     * Wire the retry buttons of the result screen
+     * @param {Object} result - Operation result whose failures are shown
+     */
+    attachRetryHandlers(result) {
+        const container = this.elements.operationResult;
+        const nameInputs = [...container.querySelectorAll('.retry-name-input')];
+        const newNameOf = index => {
+            const input = nameInputs.find(element => Number(element.dataset.index) === index);
+            return input ? input.value : null;
+        };
+
+        const retryAllBtn = container.querySelector('.retry-failed-btn');
+        if (retryAllBtn) {
+            retryAllBtn.addEventListener('click', () => {
+                const failures = result.failed.filter(failure => failure.file && failure.reason !== 'missing');
+                const newNames = {};
+                result.failed.forEach((failure, index) => {
+                    const newName = newNameOf(index);
+                    if (newName !== null && failures.includes(failure)) {
+                        newNames[failure.file.path || failure.originalName] = newName;
+                    }
+                });
+                this.retryFailed(failures, newNames, container.querySelector('.retry-backoff').checked);
+            });
+        }
+
+        container.querySelectorAll('.retry-name-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = Number(button.dataset.index);
+                const failure = result.failed[index];
+                this.retryFailed([failure], { [failure.file.path || failure.originalName]: newNameOf(index) }, false);
+            });
+        });
+    }
+
+    /**
+     * Retry failed renames (to be handled by app controller)
+     * @param {Array} failures - Failed entries from the last result
+     * @param {Object} newNames - Replacement names keyed by relative path
+     * @param {boolean} backoff - Wait and retry files that are locked
+     */
+    retryFailed(failures, newNames, backoff) {
+        this.showLoading(this.elements.executeRenameBtn, true);
+        this.elements.progressContainer.classList.remove('hidden');
+        this.elements.batchControls.classList.add('hidden');
+        this.elements.operationResult.classList.add('hidden');
+        this.elements.progressFill.style.width = '0%';
+        this.elements.progressText.textContent = '';
+
+        const event = new CustomEvent('retryFailed', {
+            detail: {
+                failures,
+                newNames,
+                backoff,
+                collisionStrategy: this.state.config.collisionStrategy
+            }
+        });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Show that a retry is waiting for locked files
+     * @param {number} attempt - Upcoming attempt number
+     * @param {number} attempts - Total attempts
+     * @param {number} delay - Wait in milliseconds
+     * @param {number} count - Files still to retry
+     */
+    showRetryWait(attempt, attempts, delay, count) {
+        this.elements.progressText.textContent =
+            `${count} file${count === 1 ? ' is' : 's are'} still locked; trying again in ${Math.round(delay / 1000)} s (attempt ${attempt} of ${attempts})`;
+    }
+
+    /**
+     * Rename the files of the batch on the result screen back (to be handled by app controller)
+     * @param {Object} result - Operation result whose successful renames are reverted
+     */
+    rollbackBatch(result) {
+        this.showLoading(this.elements.executeRenameBtn, true);
+        this.elements.progressContainer.classList.remove('hidden');
+        this.elements.batchControls.classList.add('hidden');
+        this.elements.operationResult.classList.add('hidden');
+        this.elements.progressFill.style.width = '0%';
+        this.elements.progressText.textContent = '';
+
+        const event = new CustomEvent('rollbackBatch', {
+            detail: { result }
+        });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Undo the last executed batch (to be handled by app controller)
+     */
+    undoLastRename() {
+        this.showLoading(this.elements.undoLastBtn, true);
+        this.elements.undoResult.classList.add('hidden');
+
+        const event = new CustomEvent('undoLastRename');
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Show or hide the undo panel for the most recent batch
+     * @param {Object|null} batch - Stored batch from UndoJournal, or null
+     */
+    showUndoAvailability(batch) {
+        const summary = this.elements.undoPanel.querySelector('.undo-summary');
+
+        if (!batch) {
+            this.elements.undoLastBtn.classList.add('hidden');
+            summary.textContent = '';
+            if (this.elements.undoResult.classList.contains('hidden')) {
+                this.elements.undoPanel.classList.add('hidden');
+            }
+            return;
+        }
+
+        summary.textContent = `Last rename: ${batch.entries.length} files in "${batch.directoryName}" on ${this.formatDate(batch.endTime)}`;
+        this.elements.undoLastBtn.classList.remove('hidden');
+        this.elements.undoPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Show the result of an undo operation
+     * @param {Object} result - Operation result from FileRenamer.executeRenaming
+     * @param {Object} report - Missing, modified and conflicting entries
+     */
+    showUndoResult(result, report = {}) {
+        const { missing = [], modified = [], conflicts = [] } = report;
+        const failureCount = result.failed.length + missing.length + conflicts.length;
+
+        let html = `
+            <h3>Undo Complete</h3>
+            <p><strong>${result.successful.length}</strong> files restored to their original names.</p>
+        `;
+
+        const section = (title, entries, describe) => entries.length === 0 ? '' : `
+            <div class="failures">
+                <h4>${title} (${entries.length}):</h4>
+                <ul>${entries.map(entry => `<li>${describe(entry)}</li>`).join('')}</ul>
+            </div>
+        `;
+
+        html += section('Changed since the rename', modified, entry =>
+            `${this.escapeHtml(entry.newName)} → ${this.escapeHtml(entry.originalName)} (size ${this.formatFileSize(entry.size)} → ${this.formatFileSize(entry.currentSize)}, modified ${this.formatDate(entry.lastModified)} → ${this.formatDate(entry.currentLastModified)})`
+        );
+        html += section('Missing, not restored', missing, entry =>
+            `${this.escapeHtml(entry.newName)} (was ${this.escapeHtml(entry.originalName)})`
+        );
+        html += section('Original name taken by another file, not restored', conflicts, entry =>
+            `${this.escapeHtml(entry.newName)} → ${this.escapeHtml(entry.originalName)}`
+        );
+        html += section('Failed', result.failed, failure =>
+            `${this.escapeHtml(failure.originalName)} → ${this.escapeHtml(failure.newName)}: ${this.escapeHtml(failure.error)}`
+        );
+        if (result.failed.length > 0) {
+            html += '<p>The failed files stay in the journal: use "Undo last rename" again to retry them.</p>';
+        }
+
+        this.elements.undoResult.innerHTML = html;
+        this.elements.undoResult.classList.remove('hidden', 'success', 'error');
+        this.elements.undoResult.classList.add(failureCount === 0 ? 'success' : 'error');
+        this.elements.undoPanel.classList.remove('hidden');
+        this.showLoading(this.elements.undoLastBtn, false);
+    }
+
+    /**
+     * Dispatch a preset event for the app controller
+     * @param {string} type - Event name, e.g. 'loadPreset'
+     * @param {Object} detail - Event detail (defaults to the selected preset's name)
+     */
+    dispatchPresetEvent(type, detail = { name: this.elements.presetSelect.value }) {
+        const event = new CustomEvent(type, { detail });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Save the current Step 2 settings under the typed name (handled by app controller)
+     */
+    savePreset() {
+        const name = this.elements.presetNameInput.value.trim();
+        if (name === '') {
+            this.showPresetStatus('Enter a name for the preset first', true);
+            this.elements.presetNameInput.focus();
+            return;
+        }
+
+        this.dispatchPresetEvent('savePreset', { name, config: this.state.config });
+    }
+
+    /**
+     * Read a preset file chosen for import (parsed by app controller)
+     * @param {File} file - JSON file exported from this app
+     */
+    async importPresets(file) {
+        try {
+            const text = await file.text();
+            this.dispatchPresetEvent('importPresets', { text, fileName: file.name });
+        } catch (error) {
+            this.showPresetStatus(`Could not read ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Fill the preset list (called by app controller)
+     * @param {Array<Object>} presets - Saved presets as { name, config, savedAt }
+     * @param {string} selected - Name of the preset to select
+     */
+    showPresets(presets, selected = '') {
+        const options = presets.map(preset => {
+            const name = this.escapeHtml(preset.name);
+            return `<option value="${name}"${preset.name === selected ? ' selected' : ''}>${name}</option>`;
+        }).join('');
+
+        this.elements.presetSelect.innerHTML = presets.length > 0
+            ? `<option value="">Choose a preset…</option>${options}`
+            : '<option value="">No saved presets</option>';
+
+        const hasPreset = this.elements.presetSelect.value !== '';
+        this.elements.loadPresetBtn.disabled = !hasPreset;
+        this.elements.deletePresetBtn.disabled = !hasPreset;
+        this.elements.exportPresetsBtn.disabled = presets.length === 0;
+    }
+
+    /**
+     * Show the outcome of a preset action
+     * @param {string} message - Message to show
+     * @param {boolean} isError - Show as an error instead of a status line
+     */
+    showPresetStatus(message, isError = false) {
+        this.elements.presetStatus.textContent = isError ? '' : message;
+        this.elements.presetStatus.classList.toggle('hidden', isError || !message);
+        this.elements.presetError.textContent = isError ? message : '';
+        this.elements.presetError.classList.toggle('hidden', !isError || !message);
+    }
+
+    /**
+     * Show a share link and copy it to the clipboard when allowed
+     * @param {string} url - Link that opens the app with the preset applied
+     */
+    async showPresetLink(url) {
+        this.elements.presetLink.value = url;
+        this.elements.presetLink.classList.remove('hidden');
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showPresetStatus('Share link copied to the clipboard');
+        } catch (error) {
+            this.elements.presetLink.select();
+            this.showPresetStatus('Copy the share link below');
+        }
+    }
+
+    /**
+     * Apply a saved configuration to Step 2 (called by app controller)
+     * Settings whose value is not one of the offered choices are left unchanged.
+     * @param {Object} config - Configuration keys to apply (see state.config)
+     * @returns {Array<string>} Keys that were not applied
+     */
+    applyConfig(config) {
+        const selects = {
+            sortBy: this.elements.sortSelect,
+            sortLocale: this.elements.sortLocaleSelect,
+            mode: this.elements.modeSelect,
+            padding: this.elements.paddingSelect,
+            numberFormat: this.elements.numberFormatSelect,
+            counterGroup: this.elements.counterGroupSelect,
+            counterScope: this.elements.counterScopeSelect,
+            caseTransform: this.elements.caseSelect,
+            extensionMode: this.elements.extensionModeSelect,
+            targetProfile: this.elements.targetProfileSelect,
+            collisionStrategy: this.elements.collisionStrategySelect,
+            duplicateMode: this.elements.duplicateModeSelect
+        };
+        const inputs = {
+            pattern: this.elements.patternInput,
+            startNumber: this.elements.startNumberInput,
+            step: this.elements.stepInput,
+            regexFind: this.elements.regexFindInput,
+            regexReplace: this.elements.regexReplaceInput,
+            regexFlags: this.elements.regexFlagsInput,
+            extensionReplacement: this.elements.extensionReplaceInput,
+            compoundExtensions: this.elements.compoundExtensionsInput,
+            duplicateFolder: this.elements.duplicateFolderInput
+        };
+        const checkboxes = {
+            descending: this.elements.descendingCheckbox,
+            stripDiacritics: this.elements.stripDiacriticsCheckbox,
+            normalizeNfc: this.elements.normalizeNfcCheckbox,
+            sanitizeNames: this.elements.sanitizeNamesCheckbox
+        };
+        // Filter fields name their config key in data-filter
+        this.elements.filterInputs.forEach(input => {
+            (input.tagName === 'SELECT' ? selects : inputs)[input.dataset.filter] = input;
+        });
+        // Sort and filter settings decide which files are renamed in which order
+        const sortKey = () => JSON.stringify([
+            this.state.config.sortBy, this.state.config.sortThenBy, this.state.config.sortLocale,
+            ...[...this.elements.filterInputs].map(input => this.state.config[input.dataset.filter])
+        ]);
+        const previousSort = sortKey();
+        const previousSortBy = this.state.config.sortBy;
+        const rejected = [];
+
+        Object.entries(config).forEach(([key, value]) => {
+            if (selects[key]) {
+                const options = [...selects[key].options].map(option => option.value);
+                if (!options.includes(String(value))) {
+                    rejected.push(key);
+                    return;
+                }
+                selects[key].value = String(value);
+            } else if (inputs[key]) {
+                inputs[key].value = String(value);
+            } else if (checkboxes[key]) {
+                checkboxes[key].checked = Boolean(value);
+            } else if (key === 'sortThenBy') {
+                // Sort keys this version does not offer are dropped
+                const options = this.getChainOptions().map(option => option.value);
+                value = value.filter(chainKey => options.includes(chainKey));
+            } else if (key === 'rules') {
+                // Rules of a type this version does not know are dropped
+                value = value
+                    .filter(rule => rule && this.ruleTypes.some(ruleType => ruleType.type === rule.type))
+                    .map(rule => ({ type: rule.type, enabled: rule.enabled !== false, options: { ...rule.options } }));
+            } else {
+                rejected.push(key);
+                return;
+            }
+            this.state.config[key] = value;
+        });
+
+        this.elements.extensionReplaceInput.classList.toggle('hidden', this.state.config.extensionMode !== 'replace');
+        this.elements.duplicateFolderInput.classList.toggle('hidden', this.state.config.duplicateMode !== 'move');
+        this.elements.counterScopeSelect.classList.toggle('hidden', this.state.config.counterGroup === '');
+        this.updateModeVisibility();
+        this.renderRuleList();
+        this.validatePattern();
+        this.validateNumbering();
+        this.validateRegex();
+
+        this.renderSortChain();
+        this.updateSortLocaleVisibility();
+        this.validateFilters();
+        if (this.state.config.sortBy !== previousSortBy) {
+            this.resetCustomOrder();
+        }
+        if (sortKey() !== previousSort && this.state.files.length > 0) {
+            this.sortFiles();
+        }
+
+        return rejected;
+    }
+
+    /**
+     * Read a mapping file chosen in Step 2 (parsed by app controller)
+     * @param {File} file - CSV or JSON file
+     */
+    async importMapping(file) {
+        try {
+            const text = await file.text();
+            const event = new CustomEvent('importMapping', {
+                detail: { text, fileName: file.name }
+            });
+            document.dispatchEvent(event);
+        } catch (error) {
+            this.showMappingResult(file.name, { pairs: [], errors: [`Could not read ${file.name}: ${error.message}`] });
+        }
+    }
+
+    /**
+     * Show the outcome of a mapping import and keep the pairs if it is usable
+     * @param {string} fileName - Imported file name
+     * @param {Object} result - { pairs, errors } from PlanFile.parseMapping
+     */
+    showMappingResult(fileName, result) {
+        const isValid = result.errors.length === 0;
+
+        this.state.mapping = isValid ? { fileName, pairs: result.pairs } : null;
+        this.state.overrides = {};
+
+        this.elements.mappingStatus.textContent = isValid
+            ? `${result.pairs.length} names loaded from ${fileName}`
+            : '';
+        this.elements.mappingStatus.classList.toggle('hidden', !isValid);
+        this.elements.mappingError.innerHTML = isValid
+            ? ''
+            : `<ul>${result.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>`;
+        this.elements.mappingError.classList.toggle('hidden', isValid);
+
+        this.updateNavigationButtons();
+    }
+
+    /**
+     * Export the current preview (to be handled by app controller)
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportPlan(format) {
+        if (this.state.previewData.length === 0) return;
+
+        const event = new CustomEvent('exportPlan', {
+            detail: { format, previewData: this.state.previewData }
+        });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Offer text content as a file download
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show notices that don't block renaming, such as mapping rows without a file
+     * or a cancelled duplicate check
+     * @param {Array<string>} warnings - Warning messages
+     */
+    showPreviewWarnings(warnings) {
+        if (warnings.length === 0) {
+            this.elements.previewWarnings.classList.add('hidden');
+            return;
+        }
+
+        this.elements.previewWarnings.innerHTML = `
+            <strong>Notices (${warnings.length}):</strong>
+            <ul>${warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>
+        `;
+        this.elements.previewWarnings.classList.remove('hidden');
+    }
+
+    /**
+     * Show an error from the undo operation
+     * @param {string} error - Error message
+     */
+    showUndoError(error) {
+        this.elements.undoResult.innerHTML = `<p>${this.escapeHtml(error)}</p>`;
+        this.elements.undoResult.classList.remove('hidden', 'success');
+        this.elements.undoResult.classList.add('error');
+        this.elements.undoPanel.classList.remove('hidden');
+        this.showLoading(this.elements.undoLastBtn, false);
+    }
+
     /**
      * Show/hide loading state on a button
      * @param {HTMLElement} button - Button element
@@ -570,6 +2378,25 @@ class UIManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Format the date column of a preview row, marking where the date comes from when metadata is used
+     * @param {Object} item - Preview item
+     * @param {boolean} metadataUsed - Whether the sort or pattern uses content metadata
+     * @returns {string} HTML
+     */
+    formatPreviewDate(item, metadataUsed) {
+        if (!metadataUsed) {
+            return this.formatDate(item.creationTime);
+        }
+        if (item.captureTime) {
+            return `${this.formatDate(item.captureTime)} <small class="date-source" title="Capture time from the photo or video metadata">taken</small>`;
+        }
+        if (item.metadata !== undefined) {
+            return `${this.formatDate(item.creationTime)} <small class="date-source fallback" title="No capture time in the file's metadata, so its creation date is shown and used">file date</small>`;
+        }
+        return this.formatDate(item.creationTime);
+    }
+
     /**
      * Format date for display
      * @param {number} timestamp - Unix timestamp
@@ -618,26 +2445,115 @@ class UIManager {
         this.currentStep = 1;
         this.state = {
             selectedFolder: null,
+            includeSubfolders: false,
             files: [],
             sortedFiles: [],
             config: {
                 sortBy: 'size-asc',
+                sortThenBy: [],
+                sortLocale: '',
+                filterGlobs: '',
+                filterName: '',
+                filterExtensions: '',
+                filterMimeTypes: '',
+                filterMinSize: '',
+                filterMaxSize: '',
+                filterSizeUnit: 'kb',
+                filterDateFrom: '',
+                filterDateTo: '',
+                mode: 'pattern',
                 pattern: 'file_{number}',
-                padding: 3
+                padding: 3,
+                startNumber: 1,
+                step: 1,
+                descending: false,
+                numberFormat: 'decimal',
+                counterGroup: '',
+                counterScope: 'independent',
+                regexFind: '',
+                regexReplace: '',
+                regexFlags: 'g',
+                caseTransform: '',
+                stripDiacritics: false,
+                normalizeNfc: false,
+                extensionMode: 'keep',
+                extensionReplacement: '',
+                compoundExtensions: '.tar.gz, .tar.bz2, .tar.xz, .tar.zst, .tar.lz',
+                targetProfile: 'windows',
+                sanitizeNames: false,
+                collisionStrategy: 'bump',
+                duplicateMode: '',
+                duplicateFolder: 'duplicates',
+                rules: []
             },
+            overrides: {},
+            customOrder: [],
+            mapping: null,
+            patternValidation: null,
+            regexValidation: null,
+            numberingValidation: null,
             previewData: [],
             operationResult: null
         };
 
         // Reset UI elements
+        this.elements.extensionModeSelect.value = 'keep';
+        this.elements.extensionReplaceInput.value = '';
+        this.elements.extensionReplaceInput.classList.add('hidden');
+        this.elements.compoundExtensionsInput.value = this.state.config.compoundExtensions;
+        this.elements.targetProfileSelect.value = 'windows';
+        this.elements.sanitizeNamesCheckbox.checked = false;
+        this.elements.collisionStrategySelect.value = 'bump';
+        this.elements.duplicateModeSelect.value = '';
+        this.elements.duplicateFolderInput.value = 'duplicates';
+        this.elements.duplicateFolderInput.classList.add('hidden');
+        this.hideHashProgress();
+        this.elements.caseSelect.value = '';
+        this.elements.stripDiacriticsCheckbox.checked = false;
+        this.elements.normalizeNfcCheckbox.checked = false;
+        this.elements.modeSelect.value = 'pattern';
+        this.renderRuleList();
+        this.elements.presetLink.classList.add('hidden');
+        this.elements.presetStatus.classList.add('hidden');
+        this.elements.presetError.classList.add('hidden');
+        this.elements.regexFindInput.value = '';
+        this.elements.regexReplaceInput.value = '';
+        this.elements.regexFlagsInput.value = 'g';
+        this.elements.regexError.classList.add('hidden');
+        this.elements.mappingFileInput.value = '';
+        this.elements.mappingStatus.classList.add('hidden');
+        this.elements.mappingError.classList.add('hidden');
+        this.elements.previewWarnings.classList.add('hidden');
+        this.updateModeVisibility();
         this.elements.patternInput.value = 'file_{number}';
+        this.elements.patternInput.classList.remove('error');
+        this.elements.patternError.classList.add('hidden');
+        this.elements.patternHighlight.classList.add('hidden');
         this.elements.sortSelect.value = 'size-asc';
+        this.elements.sortLocaleSelect.value = '';
+        this.elements.filterInputs.forEach(input => {
+            input.value = this.state.config[input.dataset.filter];
+        });
+        this.elements.filterCount.textContent = '';
+        this.elements.filterError.classList.add('hidden');
+        this.renderSortChain();
+        this.updateSortLocaleVisibility();
         this.elements.paddingSelect.value = '3';
+        this.elements.startNumberInput.value = '1';
+        this.elements.stepInput.value = '1';
+        this.elements.descendingCheckbox.checked = false;
+        this.elements.numberFormatSelect.value = 'decimal';
+        this.elements.counterGroupSelect.value = '';
+        this.elements.counterScopeSelect.value = 'independent';
+        this.elements.counterScopeSelect.classList.add('hidden');
+        this.elements.includeSubfoldersCheckbox.checked = false;
+        this.elements.numberingError.classList.add('hidden');
         this.elements.folderInfo.classList.add('hidden');
         this.elements.folderError.classList.add('hidden');
         this.elements.validationErrors.classList.add('hidden');
         this.elements.collisionWarnings.classList.add('hidden');
         this.elements.operationResult.classList.add('hidden');
+        this.elements.stalePreview.classList.add('hidden');
         this.elements.progressContainer.classList.add('hidden');
 
         this.showStep(1);
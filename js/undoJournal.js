@@ -0,0 +1,231 @@
+/**
+ * UndoJournal - Persists executed rename batches in IndexedDB
+ * Keeps directory handles and original/new name pairs so a batch can be undone after a reload
+ */
+class UndoJournal {
+    constructor(dbName = 'file-renamer', storeName = 'batches', maxBatches = 20) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.maxBatches = maxBatches;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if supported, false otherwise
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create if needed) the journal database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB is not supported in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Failed to open undo journal: ${request.error?.message}`));
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the object store and returns a request
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(new Error(`Undo journal error: ${transaction.error?.message}`));
+            transaction.onabort = () => reject(new Error(`Undo journal error: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Store an executed batch
+     * @param {FileSystemDirectoryHandle} directoryHandle - Directory the batch ran in
+     * @param {Object} result - Operation result from FileRenamer.executeRenaming
+     * @returns {Promise<number>} Id of the stored batch
+     */
+    async recordBatch(directoryHandle, result) {
+        const batch = {
+            directoryHandle: directoryHandle,
+            directoryName: directoryHandle?.name || 'Selected Folder',
+            startTime: result.startTime,
+            endTime: result.endTime,
+            undone: false,
+            undoneAt: null,
+            entries: result.successful
+                .filter(entry => entry.originalName !== entry.newName || entry.movedTo)
+                .map(entry => ({
+                    folderPath: entry.file?.folderPath || '',
+                    // Folder path the file was moved to, or null if it stayed in its folder
+                    movedTo: entry.movedTo || null,
+                    originalName: entry.originalName,
+                    newName: entry.newName,
+                    size: entry.file?.size ?? null,
+                    lastModified: entry.file?.lastModified ?? null
+                }))
+        };
+
+        const id = await this.withStore('readwrite', store => store.add(batch));
+        await this.prune();
+        return id;
+    }
+
+    /**
+     * Get all stored batches, newest first
+     * @returns {Promise<Array>} Stored batches
+     */
+    async getBatches() {
+        const batches = await this.withStore('readonly', store => store.getAll());
+        return (batches || []).sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Get one stored batch
+     * @param {number} id - Batch id
+     * @returns {Promise<Object|null>} Batch or null
+     */
+    async getBatch(id) {
+        const batch = await this.withStore('readonly', store => store.get(id));
+        return batch || null;
+    }
+
+    /**
+     * Get the most recent batch that has not been undone
+     * @returns {Promise<Object|null>} Batch or null
+     */
+    async getLastBatch() {
+        const batches = await this.getBatches();
+        return batches.find(batch => !batch.undone && batch.entries.length > 0) || null;
+    }
+
+    /**
+     * Mark a batch as undone
+     * @param {number} id - Batch id
+     * @returns {Promise<void>}
+     */
+    async markUndone(id) {
+        const batch = await this.getBatch(id);
+        if (!batch) return;
+
+        batch.undone = true;
+        batch.undoneAt = Date.now();
+        await this.withStore('readwrite', store => store.put(batch));
+    }
+
+    /**
+     * Keep only the entries of a batch that failed to be undone, so the undo can be tried again
+     * @param {Object} batch - Stored batch
+     * @param {Array} failed - Failed entries from FileRenamer.executeRenaming of the undo items
+     * @returns {Promise<void>}
+     */
+    async keepFailedEntries(batch, failed) {
+        const keyOf = (folderPath, name) => `${folderPath || ''}/${name}`;
+        const failures = new Map(failed.map(failure => [keyOf(failure.file?.folderPath, failure.originalName), failure]));
+
+        batch.entries = batch.entries.flatMap(entry => {
+            const failure = failures.get(keyOf(entry.movedTo || entry.folderPath, entry.newName));
+            if (!failure) return [];
+            // A file left under a temporary name is looked for there next time
+            return [{ ...entry, newName: failure.currentName || entry.newName }];
+        });
+        await this.withStore('readwrite', store => store.put(batch));
+    }
+
+    /**
+     * Delete the oldest batches beyond maxBatches
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const batches = await this.getBatches();
+        const expired = batches.slice(this.maxBatches);
+
+        for (const batch of expired) {
+            await this.withStore('readwrite', store => store.delete(batch.id));
+        }
+    }
+
+    /**
+     * Compare a stored batch against the current directory contents
+     * @param {Object} batch - Stored batch
+     * @param {Array} currentFiles - File objects from FileSystemManager.getFilesFromDirectory
+     * @returns {Object} Undo items plus missing, modified and conflicting entries
+     */
+    compareWithDirectory(batch, currentFiles) {
+        // Names are only unique within a folder, so match on folder path plus name
+        const keyOf = (folderPath, name) => `${folderPath || ''}/${name}`;
+        const locationOf = entry => entry.movedTo || entry.folderPath;
+        const filesByName = new Map(currentFiles.map(file => [keyOf(file.folderPath, file.name), file]));
+        const batchNewNames = new Set(batch.entries.map(entry => keyOf(locationOf(entry), entry.newName)));
+        const items = [];
+        const missing = [];
+        const modified = [];
+        const conflicts = [];
+
+        batch.entries.forEach(entry => {
+            const file = filesByName.get(keyOf(locationOf(entry), entry.newName));
+
+            if (!file) {
+                missing.push(entry);
+                return;
+            }
+
+            // The original name was taken by a file that is not part of this batch
+            const originalKey = keyOf(entry.folderPath, entry.originalName);
+            if (filesByName.has(originalKey) && !batchNewNames.has(originalKey)) {
+                conflicts.push(entry);
+                return;
+            }
+
+            const sizeChanged = entry.size !== null && file.size !== entry.size;
+            const timeChanged = entry.lastModified !== null && file.lastModified !== entry.lastModified;
+            if (sizeChanged || timeChanged) {
+                modified.push({ ...entry, currentSize: file.size, currentLastModified: file.lastModified });
+            }
+
+            items.push({
+                originalName: entry.newName,
+                newName: entry.originalName,
+                file: file,
+                extension: file.extension,
+                size: file.size,
+                // Moved files go back to the folder they came from
+                moveTo: entry.movedTo ? entry.folderPath : null
+            });
+        });
+
+        return { items, missing, modified, conflicts };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoJournal;
+}
\ No newline at end of file